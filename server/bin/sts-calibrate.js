@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * STS Calibration Report
+ * Scores a labelled cohort and prints, per outcome, the O/E ratio, Brier
+ * score, C-statistic and the calibration table by risk decile
+ * (utils/stsCalibration.js).
+ *
+ *   node bin/sts-calibrate.js outcomes-2024.csv
+ *   node bin/sts-calibrate.js cohort.json --format json > calibration.json
+ *
+ * Input: patients as for bin/sts-score.js, each with observed 30-day outcomes
+ * ({ patient, observed: { mortality: 1, stroke: 0 } } or observed_<outcome> columns).
+ *
+ * Exit codes: 0 every case scored, 1 usage or unreadable input,
+ * 2 some cases were excluded (failed validation or no model).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parsePatientsText } = require('../utils/stsBatch');
+const { evaluateCalibration, validateCohort } = require('../utils/stsCalibration');
+
+const EXIT_OK = 0;
+const EXIT_USAGE = 1;
+const EXIT_EXCLUDED = 2;
+
+const FORMATS = ['markdown', 'json'];
+const INPUTS = ['json', 'csv'];
+
+const USAGE = `Usage: sts-calibrate [file | -] [options]
+
+Compares STS model predictions with observed outcomes in a labelled cohort.
+Reads stdin when no file (or -) is given.
+
+Options:
+  --format <markdown|json>  Output (default: markdown)
+  --input <json|csv>        Input type (default: from the file extension or the content)
+  -h, --help                Show this help
+
+Exit codes: 0 all cases scored, 1 usage/input error, 2 cases excluded`;
+
+/**
+ * @returns {Object} { file, format, input, help } or { error }
+ */
+function parseArgs(argv) {
+  const args = { file: null, format: 'markdown', input: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '--format' || arg === '--input') {
+      const value = argv[++i];
+      const allowed = arg === '--format' ? FORMATS : INPUTS;
+      if (!allowed.includes(value)) return { error: `${arg} must be one of ${allowed.join(', ')}` };
+      args[arg.slice(2)] = value;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      return { error: `unknown option ${arg}` };
+    } else if (args.file === null) {
+      args.file = arg;
+    } else {
+      return { error: 'only one input file can be given' };
+    }
+  }
+  return args;
+}
+
+function formatValue(value) {
+  return value === null || value === undefined ? '-' : value;
+}
+
+/**
+ * Summary table of every outcome, then its calibration table
+ */
+function formatMarkdown(report) {
+  let output = `# STS Model Calibration\n\n`;
+  output += `**Cases:** ${report.cases} (${report.scored} scored, ${report.excluded.length} excluded)  \n`;
+  output += `**Models:** ${report.modelVersions.join(', ') || '-'}\n\n`;
+
+  output += `| Outcome | N | Observed | Expected | O/E (95% CI) | Brier | C-statistic |\n|---|---|---|---|---|---|---|\n`;
+  Object.values(report.outcomes).forEach(metrics => {
+    const interval = metrics.oeInterval ? ` (${metrics.oeInterval.low}-${metrics.oeInterval.high})` : '';
+    output += `| ${metrics.label} | ${metrics.n} | ${metrics.observed} (${metrics.observedRate}%) | ${metrics.expected} (${metrics.expectedRate}%) | ${formatValue(metrics.oeRatio)}${interval} | ${metrics.brier} | ${formatValue(metrics.cStatistic)} |\n`;
+  });
+
+  Object.values(report.outcomes).forEach(metrics => {
+    output += `\n## ${metrics.label} - calibration by predicted risk\n\n`;
+    output += `| Group | N | Predicted range % | Mean predicted % | Observed % | Expected | Observed |\n|---|---|---|---|---|---|---|\n`;
+    metrics.calibration.forEach(row => {
+      output += `| ${row.group} | ${row.n} | ${row.predictedLow}-${row.predictedHigh} | ${row.meanPredicted} | ${row.observedRate} | ${row.expected} | ${row.observed} |\n`;
+    });
+  });
+
+  if (report.excluded.length > 0) {
+    output += `\n## Excluded cases\n\n`;
+    report.excluded.forEach(item => {
+      output += `- Row ${item.row}${item.id !== null ? ` (${item.id})` : ''}: ${item.reason}\n`;
+    });
+  }
+  return output;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.error) {
+    console.error(`sts-calibrate: ${args.error}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  const fromStdin = args.file === null || args.file === '-';
+  if (fromStdin && process.stdin.isTTY) {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(fromStdin ? 0 : args.file, 'utf8');
+  } catch (err) {
+    console.error(`sts-calibrate: cannot read ${fromStdin ? 'stdin' : args.file}: ${err.message}`);
+    return EXIT_USAGE;
+  }
+
+  const extension = fromStdin ? '' : path.extname(args.file).toLowerCase().slice(1);
+  const { patients: cases, error } = parsePatientsText(text, args.input || (INPUTS.includes(extension) ? extension : null));
+  const invalid = error || validateCohort(cases);
+  if (invalid) {
+    console.error(`sts-calibrate: ${invalid}`);
+    return EXIT_USAGE;
+  }
+
+  const report = evaluateCalibration(cases);
+  console.log(args.format === 'json' ? JSON.stringify(report, null, 2) : formatMarkdown(report));
+
+  return report.excluded.length === 0 ? EXIT_OK : EXIT_EXCLUDED;
+}
+
+process.exitCode = main(process.argv.slice(2));
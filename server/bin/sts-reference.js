@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * STS Reference-Case Regression
+ * Compares the models with the official STS calculator's outputs for the
+ * bundled reference patients (utils/stsReference.js) and prints per-case and
+ * per-model deviation.
+ *
+ *   node bin/sts-reference.js
+ *   node bin/sts-reference.js --absolute 0.3 --relative 0.1
+ *   node bin/sts-reference.js --corpus other-cases.json --format json
+ *
+ * Exit codes: 0 every compared case within tolerance, 1 usage or unreadable
+ * corpus, 2 at least one case outside tolerance (or not scored).
+ */
+
+const { loadReferenceCorpus, compareWithReference } = require('../utils/stsReference');
+const { OUTCOME_LABELS } = require('../utils/modelRegistry');
+
+const EXIT_OK = 0;
+const EXIT_USAGE = 1;
+const EXIT_DEVIATION = 2;
+
+const FORMATS = ['markdown', 'json'];
+
+const USAGE = `Usage: sts-reference [options]
+
+Compares every model with the official STS calculator on the reference corpus.
+
+Options:
+  --corpus <file>           Reference cases (default: STS_REFERENCE_FILE or
+                            data/stsReferenceCases.json)
+  --absolute <points>       Tolerance in percentage points, every outcome
+  --relative <fraction>     Relative tolerance (0.2 = 20%), every outcome
+  --format <markdown|json>  Output (default: markdown)
+  -h, --help                Show this help
+
+An outcome is within tolerance when either limit holds. Without --absolute /
+--relative the corpus file's per-outcome tolerance is used.
+
+Exit codes: 0 within tolerance, 1 usage/corpus error, 2 cases outside tolerance`;
+
+/**
+ * @returns {Object} { corpus, tolerance, format, help } or { error }
+ */
+function parseArgs(argv) {
+  const args = { corpus: undefined, tolerance: {}, format: 'markdown', help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '--corpus') {
+      args.corpus = argv[++i];
+      if (!args.corpus) return { error: '--corpus needs a file' };
+    } else if (arg === '--absolute' || arg === '--relative') {
+      const value = parseFloat(argv[++i]);
+      if (!(value >= 0)) return { error: `${arg} must be a non-negative number` };
+      args.tolerance[arg.slice(2)] = value;
+    } else if (arg === '--format') {
+      args.format = argv[++i];
+      if (!FORMATS.includes(args.format)) return { error: `--format must be one of ${FORMATS.join(', ')}` };
+    } else {
+      return { error: `unknown argument ${arg}` };
+    }
+  }
+  return args;
+}
+
+function signed(value) {
+  return value === null ? '-' : `${value > 0 ? '+' : ''}${value}`;
+}
+
+/**
+ * Per-model summary, then every compared case outcome by outcome
+ */
+function formatMarkdown(report) {
+  const { corpus, summary } = report;
+  let output = `# STS Reference-Case Comparison\n\n`;
+  output += `**Corpus:** ${corpus.id} (${corpus.version})  \n`;
+  output += `**Cases:** ${summary.cases} - ${summary.passed} within tolerance, ${summary.failed} outside, ${summary.pending} pending official outputs, ${summary.errors} not scored\n\n`;
+  if (summary.compared === 0) {
+    output += `> ⚠️ No case has official calculator outputs - this corpus is a scaffold and verifies nothing yet.\n\n`;
+  }
+
+  output += `## By model\n\n| Model | Cases | Compared | Pending | Outcome | Mean Deviation | Max Deviation | Within Tolerance |\n|---|---|---|---|---|---|---|---|\n`;
+  Object.entries(report.models).forEach(([modelId, model]) => {
+    const outcomes = Object.entries(model.outcomes);
+    if (outcomes.length === 0) {
+      output += `| ${modelId} | ${model.cases} | ${model.compared} | ${model.pending} | - | - | - | - |\n`;
+      return;
+    }
+    outcomes.forEach(([outcome, stats], index) => {
+      const lead = index === 0 ? `${modelId} | ${model.cases} | ${model.compared} | ${model.pending}` : ' | | |';
+      output += `| ${lead} | ${OUTCOME_LABELS[outcome]} | ${stats.meanAbsoluteDeviation} pts | ${stats.maxAbsoluteDeviation} pts | ${stats.withinTolerance}/${stats.n} |\n`;
+    });
+  });
+
+  output += `\n## By case\n\n`;
+  report.cases.forEach(item => {
+    output += `### ${item.id} - ${item.status.toUpperCase()}\n\n${item.description}  \n**Model:** ${item.modelVersion || '-'}${item.calculatorVersion ? `  \n**Official calculator:** ${item.calculatorVersion}` : ''}\n\n`;
+    if (item.status === 'pending') {
+      output += `*Official outputs not entered yet.*\n\n`;
+      return;
+    }
+    if (item.status === 'error') {
+      output += `*Not scored: ${item.reason}*\n\n`;
+      return;
+    }
+    output += `| Outcome | Model % | Official % | Deviation (pts) | Relative | Within Tolerance |\n|---|---|---|---|---|---|\n`;
+    Object.entries(item.outcomes).forEach(([outcome, comparison]) => {
+      const relative = comparison.relative === null ? '-' : `${signed(Math.round(comparison.relative * 1000) / 10)}%`;
+      output += `| ${OUTCOME_LABELS[outcome]} | ${comparison.model} | ${comparison.official} | ${signed(comparison.absolute)} | ${relative} | ${comparison.withinTolerance ? 'yes' : '**no**'} |\n`;
+    });
+    output += '\n';
+  });
+  return output;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.error) {
+    console.error(`sts-reference: ${args.error}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  let corpus;
+  try {
+    corpus = loadReferenceCorpus(args.corpus);
+  } catch (err) {
+    console.error(`sts-reference: ${err.message}`);
+    return EXIT_USAGE;
+  }
+
+  const report = compareWithReference(corpus, { tolerance: args.tolerance });
+  console.log(args.format === 'json' ? JSON.stringify(report, null, 2) : formatMarkdown(report));
+  if (report.summary.compared === 0) {
+    console.error('sts-reference: no case has official outputs yet - nothing was compared');
+  }
+
+  return report.summary.failed + report.summary.errors === 0 ? EXIT_OK : EXIT_DEVIATION;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * STS Command-Line Scorer
+ * Runs calculateSTSRisk() on structured patient files without the server.
+ *
+ *   node bin/sts-score.js patients.csv
+ *   node bin/sts-score.js patient.json --format markdown
+ *   cat cohort.json | node bin/sts-score.js --format json > results.json
+ *   node bin/sts-score.js note.txt --format markdown
+ *
+ * Input: a JSON object (one patient), a JSON array or { patients: [...] }, or
+ * CSV with a header row of field names (as for POST /api/sts-score/batch).
+ * Free-text notes (--input notes, or a .txt file) are one patient, read with
+ * the rule-based extractor (utils/stsRuleExtractor.js) - still no AI.
+ *
+ * Exit codes: 0 every patient scored, 1 usage or unreadable input,
+ * 2 at least one patient failed validation (or could not be scored).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scoreBatch, parsePatientsText, publicRows, splitId } = require('../utils/stsBatch');
+const { buildManualCalculationMarkdown } = require('../utils/stsReport');
+const { calculateEuroScoreII } = require('../utils/euroscoreCalculator');
+const { extractWithRules } = require('../utils/stsRuleExtractor');
+
+const EXIT_OK = 0;
+const EXIT_USAGE = 1;
+const EXIT_VALIDATION = 2;
+
+const FORMATS = ['table', 'json', 'markdown'];
+const INPUTS = ['json', 'csv', 'notes'];
+const NOTES_EXTENSIONS = ['txt'];
+
+const USAGE = `Usage: sts-score [file | -] [options]
+
+Scores structured patients with the STS mathematical models (no AI).
+Reads stdin when no file (or -) is given.
+
+Options:
+  --format <table|json|markdown>  Output (default: table). markdown is the
+                                  Manual Calculations tab with detailed steps
+  --input <json|csv|notes>        Input type (default: from the file extension
+                                  or the content). notes is free text, read
+                                  with the rule-based extractor (.txt files)
+  --no-intervals                  Skip the 95% intervals (faster)
+  -h, --help                      Show this help
+
+Exit codes: 0 all scored, 1 usage/input error, 2 validation failures`;
+
+/**
+ * @returns {Object} { file, format, input, intervals, help } or { error }
+ */
+function parseArgs(argv) {
+  const args = { file: null, format: 'table', input: null, intervals: true, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '--no-intervals') {
+      args.intervals = false;
+    } else if (arg === '--format' || arg === '--input') {
+      const value = argv[++i];
+      const allowed = arg === '--format' ? FORMATS : INPUTS;
+      if (!allowed.includes(value)) return { error: `${arg} must be one of ${allowed.join(', ')}` };
+      args[arg.slice(2)] = value;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      return { error: `unknown option ${arg}` };
+    } else if (args.file === null) {
+      args.file = arg;
+    } else {
+      return { error: 'only one input file can be given' };
+    }
+  }
+  return args;
+}
+
+function pad(value, width) {
+  const text = value === null || value === undefined ? '-' : String(value);
+  return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+/**
+ * One line per patient: PROM, PROMM, category, flags and the first issue
+ */
+function formatTable(rows) {
+  const header = ['#', 'ID', 'STATUS', 'PROCEDURE', 'PROM %', 'PROMM %', 'CATEGORY', 'FLAGS', 'ISSUES'];
+  const lines = rows.map(row => [
+    row.row,
+    row.id,
+    row.status,
+    row.procedureType,
+    row.outcomes ? row.outcomes.mortality : null,
+    row.outcomes ? row.outcomes.morbidity : null,
+    row.riskCategory,
+    (row.riskFlags || []).map(flag => flag.outcome).join(',') || null,
+    row.errors.length > 0
+      ? `${row.errors.length} error(s): ${row.errors[0].message}`
+      : row.warnings.length > 0 ? `${row.warnings.length} warning(s)` : null
+  ]);
+
+  const widths = header.map((title, column) =>
+    Math.min(40, Math.max(title.length, ...lines.map(line => pad(line[column], 0).length))));
+  return [header, ...lines]
+    .map(line => line.map((value, column) => column === line.length - 1 ? pad(value, 0) : pad(value, widths[column])).join('  '))
+    .join('\n');
+}
+
+/**
+ * The Manual Calculations tab for every patient, with the EuroSCORE II card
+ */
+function formatMarkdown(rows, patients) {
+  return rows.map(row => {
+    const title = `# Patient ${row.row}${row.id !== null ? ` (${row.id})` : ''}`;
+    if (!row.result) return `${title}\n\n**${row.status}:** ${row.errors.map(issue => issue.message).join('; ')}\n`;
+    const patient = patients[row.row - 1];
+    return `${title}\n${buildManualCalculationMarkdown(patient, row.result, calculateEuroScoreII(splitId(patient).data))}`;
+  }).join('\n\n');
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.error) {
+    console.error(`sts-score: ${args.error}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  const fromStdin = args.file === null || args.file === '-';
+  if (fromStdin && process.stdin.isTTY) {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(fromStdin ? 0 : args.file, 'utf8');
+  } catch (err) {
+    console.error(`sts-score: cannot read ${fromStdin ? 'stdin' : args.file}: ${err.message}`);
+    return EXIT_USAGE;
+  }
+
+  const extension = fromStdin ? '' : path.extname(args.file).toLowerCase().slice(1);
+  const input = args.input || (NOTES_EXTENSIONS.includes(extension) ? 'notes' : (INPUTS.includes(extension) ? extension : null));
+  let extraction = null;
+  let parsed;
+  if (input === 'notes') {
+    extraction = extractWithRules(text);
+    console.error(`Rule-based extraction: ${Object.keys(extraction.data).length} field(s) found in the notes`);
+    parsed = { patients: Object.keys(extraction.data).length > 0 ? [extraction.data] : [] };
+  } else {
+    parsed = parsePatientsText(text, input);
+  }
+  const { patients, error } = parsed;
+  if (error) {
+    console.error(`sts-score: ${error}`);
+    return EXIT_USAGE;
+  }
+  if (patients.length === 0) {
+    console.error('sts-score: no patients to score');
+    return EXIT_USAGE;
+  }
+
+  const { rows, summary } = scoreBatch(patients, { intervals: args.intervals });
+
+  if (args.format === 'json') {
+    console.log(JSON.stringify({ summary, rows: publicRows(rows), ...(extraction && { extraction }) }, null, 2));
+  } else if (args.format === 'markdown') {
+    console.log(formatMarkdown(rows, patients));
+  } else {
+    console.log(formatTable(rows));
+  }
+  console.error(`${summary.scored}/${summary.total} scored, ${summary.blocked} blocked, ${summary.invalid + summary.error} invalid`);
+
+  return summary.scored === summary.total ? EXIT_OK : EXIT_VALIDATION;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -7,6 +7,8 @@ dotenv.config();
 
 const ecmoRoute = require('./routes/ecmo');
 const stsRoute = require('./routes/sts');
+const stsWhatIfRoute = require('./routes/stsWhatIf');
+const stsCompareRoute = require('./routes/stsCompare');
 const surveyRoute = require('./routes/survey');
 
 const app = express();
@@ -22,12 +24,15 @@ app.use(cors({
 }));
 app.options('*', cors());
 
-// ✅ Parse JSON
+// ✅ Parse JSON (batch scoring takes whole cohorts)
+app.use('/api/sts-score/batch', express.json({ limit: '5mb' }));
 app.use(express.json());
 
 // ✅ API Routes
 app.use('/api/ecmo-score', ecmoRoute);
 app.use('/api/sts-score', stsRoute);
+app.use('/api/sts-what-if', stsWhatIfRoute);
+app.use('/api/sts-compare', stsCompareRoute);
 app.use('/api/survey', surveyRoute);
 
 // ✅ Serve notes.html
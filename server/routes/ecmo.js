@@ -1,11 +1,41 @@
 const express = require('express');
 const router = express.Router();
-const { OpenAI } = require('openai');
+const { calculateECMOScore, ECMO_DOMAINS } = require('../utils/ecmoScore');
+const { buildFindingsExtractionPrompt, buildCommentaryPrompt, buildECMOResponse } = require('../utils/ecmoReport');
+const { complete, completeJSON } = require('../utils/llmProvider');
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+/**
+ * Ask the LLM to grade the four domains from the note (findings only, no score)
+ * @returns {Promise<Object>} { symptomSeverity: { level, evidence }, ... }
+ */
+async function extractFindings(note) {
+  return completeJSON('ecmoExtraction', [{ role: 'user', content: buildFindingsExtractionPrompt(note) }]);
+}
 
+/**
+ * Commentary on the fixed score; failures are reported, never fatal
+ * @returns {Promise<Object>} { commentary, error }
+ */
+async function runCommentary(ecmoResult, context) {
+  try {
+    const commentary = await complete('ecmoCommentary', [
+      { role: 'system', content: 'You are a clinical reasoning assistant for ECMO scoring. You never change a calculated score.' },
+      { role: 'user', content: buildCommentaryPrompt(ecmoResult, context) }
+    ]);
+    return { commentary, error: null };
+  } catch (err) {
+    console.error('❌ ECMO commentary failed:', err.message || err);
+    return { commentary: null, error: err.message || 'request failed' };
+  }
+}
+
+// POST /api/ecmo-score
+// Body: { mode: 'dropdown', data: { symptom, vascular, anatomic, hemodynamic, notes } }
+//    or { mode: 'notes', data: { history, exam, notes } }
+// Options: narrative=false leaves out the markdown report
+// Returns the assessment as data (see buildECMOResponse in utils/ecmoReport.js)
 router.post('/', async (req, res) => {
-  const { mode, data } = req.body;
+  const { mode, data, narrative } = req.body;
 
   console.log(`🔥 /api/ecmo-score POST hit with mode=${mode}`);
 
@@ -13,60 +43,53 @@ router.post('/', async (req, res) => {
     return res.status(400).json({ error: "Missing mode or data" });
   }
 
-  let prompt;
+  let findings;
+  let context;
 
   if (mode === 'dropdown') {
-    prompt = `
-You are a clinical assistant evaluating ECMO timing for thoracic surgery in SVC syndrome.
-
-Scoring Inputs:
-Symptom Severity: ${data.symptom}
-Vascular Congestion: ${data.vascular}
-Anatomic Compression: ${data.anatomic}
-Hemodynamic Status: ${data.hemodynamic}
-Additional Notes: ${data.notes || "N/A"}
-
-Please:
-1. Score each domain
-2. Calculate the ECMO-SVC Score
-3. Recommend ECMO timing (None, Standby, Elective, Rescue)
-4. Show a breakdown and clinical interpretation
-    `;
+    const { notes, ...domains } = data;
+    findings = domains;
+    context = { notes };
   } else if (mode === 'notes') {
-    prompt = `
-You are a clinical assistant. Based on the admission note, assess ECMO timing using the ECMO-SVC scoring system.
-
-History:
-${data.history}
-
-Physical Exam:
-${data.exam}
-
-Please:
-1. Extract findings for each of the 4 scoring domains
-2. Score them and compute the ECMO-SVC Score
-3. Recommend timing (None, Standby, Elective, Rescue)
-4. Explain your reasoning
-
-    `;
+    if (!data.history || !data.exam) {
+      return res.status(400).json({ error: "Missing history or exam" });
+    }
+    context = { history: data.history, exam: data.exam, notes: data.notes };
+    try {
+      console.log('📝 Stage 1: ECMO-SVC finding extraction...');
+      findings = await extractFindings(context);
+    } catch (err) {
+      console.error('❌ LLM API error:', err.response?.data || err.message || err);
+      return res.status(500).json({ error: err.response?.data || err.message });
+    }
   } else {
     return res.status(400).json({ error: "Invalid mode" });
   }
 
-  try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o', // ✅ Your model here
-      messages: [
-        { role: "system", content: "You are a clinical reasoning assistant for ECMO scoring." },
-        { role: "user", content: prompt }
-      ]
+  console.log('🔢 Stage 2: Deterministic ECMO-SVC score...');
+  const ecmoResult = calculateECMOScore(findings);
+  if (mode === 'notes' && ecmoResult.missingDomains.length === ECMO_DOMAINS.length) {
+    return res.status(502).json({
+      error: 'Data extraction failed',
+      details: 'The extraction returned no ECMO-SVC findings',
+      findings
     });
-
-    res.json({ response: completion.choices[0].message.content });
-  } catch (err) {
-    console.error('❌ OpenAI API error:', err.response?.data || err.message || err);
-    res.status(500).json({ error: err.response?.data || err.message });
   }
+  if (ecmoResult.blocked) {
+    return res.status(mode === 'dropdown' ? 400 : 502).json({
+      error: ecmoResult.validation.errors.some(issue => issue.code === 'insufficient_findings') ? 'Insufficient ECMO-SVC findings' : 'Invalid ECMO-SVC findings',
+      details: ecmoResult.validation.errors
+    });
+  }
+
+  console.log('🤖 Stage 3: AI commentary...');
+  const { commentary, error } = await runCommentary(ecmoResult, context);
+
+  res.json(buildECMOResponse(ecmoResult, {
+    commentary,
+    commentaryError: error,
+    narrative: narrative !== false && narrative !== 'false'
+  }));
 });
 
 module.exports = router;
@@ -1,9 +1,66 @@
 const express = require('express');
 const router = express.Router();
-const { OpenAI } = require('openai');
 const { calculateSTSRisk } = require('../utils/stsCalculator');
+const { calculateEuroScoreII } = require('../utils/euroscoreCalculator');
+const { buildManualCalculationMarkdown, buildAIComparisonPrompt, formatModelAccuracy, formatExtractionReview, formatReviewQueue, formatProvenance } = require('../utils/stsReport');
+const { buildReviewQueue, buildProvenance } = require('../utils/stsFieldConfidence');
+const { getReferenceSummary } = require('../utils/stsReference');
+const { normalizePatientData } = require('../utils/stsNormalizer');
+const { scoreBatchAsync, validateBatch, parsePatientsCSV, publicRows, batchToCSV } = require('../utils/stsBatch');
+const { complete, describeStage } = require('../utils/llmProvider');
+const { extractForAnalysis } = require('../utils/stsExtraction');
+
+// AI comparison costs one LLM call per patient
+const MAX_AI_BATCH_ROWS = 20;
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+/**
+ * Stage 2A: LLM review of the manual calculation ("stsAnalysis" stage, see utils/llmProvider.js)
+ * @returns {Promise<string>} The AI analysis (markdown)
+ */
+async function runAIComparison(structuredData, mathResult, options) {
+  return complete('stsAnalysis', [{ role: 'user', content: buildAIComparisonPrompt(structuredData, mathResult, options) }]);
+}
+
+/**
+ * Offline mode (request `offline: true` or STS_OFFLINE=1): no LLM calls,
+ * rule-based extraction and no AI analysis
+ */
+function isOffline(flag) {
+  return flag === true || /^(1|true)$/i.test(process.env.STS_OFFLINE || '');
+}
+
+/**
+ * Stage 2A text for the report; the calculations do not depend on it, so
+ * offline mode and LLM failures give a note instead of an error
+ */
+async function runAIAnalysisSection(structuredData, mathResult, options, offline) {
+  if (offline) {
+    return '*AI analysis skipped - offline mode (no LLM calls). The data and calculations above are complete.*';
+  }
+  try {
+    return await runAIComparison(structuredData, mathResult, options);
+  } catch (err) {
+    console.error('❌ STS AI analysis failed:', err.message || err);
+    return `*AI analysis unavailable (${err.message || 'request failed'}). The data and calculations above do not depend on it.*`;
+  }
+}
+
+/**
+ * Methodology line for Stage 2A
+ */
+function describeAIAnalysis(offline) {
+  return offline ? 'skipped - offline mode' : describeStage('stsAnalysis');
+}
+
+/**
+ * 502 details when extraction produced no fields, naming the extractor that ran
+ */
+function extractionFailure(extraction) {
+  if (extraction.method === 'llm') return 'The extraction model returned no STS fields';
+  return extraction.fallback
+    ? `${extraction.fallback}; the rule-based extractor found no STS fields in the notes either`
+    : 'The rule-based extractor found no STS fields in the notes';
+}
 
 /**
  * Generate FULL official STS calculator form HTML with exact 3-column structure
@@ -66,13 +123,13 @@ ${row('Surgical Priority:', select('priority', ['Elective', 'Urgent', 'Emergent'
 ${sectionHeader('DEMOGRAPHICS')}
 ${row('Sex:', select('gender', ['Male', 'Female']))}
 ${row('Age (years):', inputField('age', 'number'))}
-${row('Height (cm):', inputField('height', 'number'))}
-${row('Weight (kg):', inputField('weight', 'number'))}
+${row('Height (cm, or with unit):', inputField('height'))}
+${row('Weight (kg, or with unit):', inputField('weight'))}
 ${row('BMI (kg/m²):', inputField('bmi', 'number'))}
 ${row('Race:', inputField('race'))}
 ${row('Payor / Insurance:', inputField('payor'))}
 ${sectionHeader('LABORATORY VALUES')}
-${row('Creatinine (mg/dL):', inputField('creatinine', 'number'))}
+${row('Creatinine (mg/dL, or with unit):', inputField('creatinine'))}
 ${row('Hematocrit (%):', inputField('hematocrit', 'number'))}
 ${row('WBC Count (10³/μL):', inputField('wbc', 'number'))}
 ${row('Platelet Count (cells/μL):', inputField('platelets', 'number'))}
@@ -140,6 +197,14 @@ ${sectionHeader('PREVIOUS CARDIAC INTERVENTIONS')}
 ${checkboxField('previousCABG', 'Previous CABG')}
 ${checkboxField('previousValve', 'Previous Valve Surgery')}
 ${checkboxField('previousPCI', 'Previous PCI')}
+${sectionHeader('EUROSCORE II (NOT IN STS)')}
+${checkboxField('poorMobility', 'Poor Mobility')}
+${checkboxField('criticalPreopState', 'Critical Preop State')}
+${checkboxField('extracardiacArteriopathy', 'Extracardiac Arteriopathy')}
+${checkboxField('ccsClass4Angina', 'CCS Class 4 Angina')}
+${checkboxField('miWithin90Days', 'MI ≤ 90 Days')}
+${checkboxField('thoracicAortaSurgery', 'Surgery on Thoracic Aorta')}
+${row('PA Systolic (mmHg):', inputField('pulmonaryArterySystolicPressure', 'number'))}
 </table></td>
 </tr></table>
 
@@ -151,237 +216,27 @@ ${checkboxField('previousPCI', 'Previous PCI')}
 }
 
 router.post('/', async (req, res) => {
-  const { mode, data, patientNotes, manualOverrides } = req.body;
+  const { mode, data, patientNotes, manualOverrides, fieldConfidence, reviewedFields } = req.body;
+  const offline = isOffline(req.body.offline);
 
   // Handle re-analysis with manual overrides
   if (manualOverrides && patientNotes) {
     console.log('🔄 Re-analysis with manual overrides detected...');
     try {
       const structuredData = manualOverrides;
+      // Values the clinician confirmed or edited in the form, for the provenance card
+      const provenance = buildProvenance(structuredData, fieldConfidence || {}, reviewedFields || {});
       
       console.log('🔢 Stage 2B: Mathematical calculation with overrides...');
       const mathResult = calculateSTSRisk(structuredData);
+      const euroResult = calculateEuroScoreII(structuredData);
 
-      // Format results as clean table similar to official STS calculator
-      let mathTable = `
-### 🔬 CALCULATED PERIOPERATIVE RISK ESTIMATES
-
-**Model Type:** ${structuredData.procedureType || 'STS CABG'} Risk Model  
-**Method:** Published STS Logistic Regression Coefficients (2018)  
-
-| PERIOPERATIVE OUTCOME | ESTIMATE % |
-|---|---|
-| **Operative Mortality** | **${mathResult.mortality}%** |
-| **Morbidity & Mortality** | **${mathResult.morbidity || 'Not calculated'}%** |`;
-
-      // Add additional outcomes if available (CABG only)
-      if (mathResult.stroke) {
-        mathTable += `
-| **Stroke** | **${mathResult.stroke}%** |`;
-      }
-      
-      if (mathResult.renalFailure) {
-        mathTable += `
-| **Renal Failure** | **${mathResult.renalFailure}** |`;
-      }
-      
-      if (mathResult.reoperation) {
-        mathTable += `
-| **Reoperation** | **${mathResult.reoperation}%** |`;
-      }
-      
-      if (mathResult.prolongedVentilation) {
-        mathTable += `
-| **Prolonged Ventilation** | **${mathResult.prolongedVentilation}%** |`;
-      }
-      
-      if (mathResult.deepSternalWoundInfection) {
-        mathTable += `
-| **Deep Sternal Wound Infection** | **${mathResult.deepSternalWoundInfection}%** |`;
-      }
-      
-      if (mathResult.longHospitalStay) {
-        mathTable += `
-| **Long Hospital Stay (> 14 days)** | **${mathResult.longHospitalStay}%** |`;
-      }
-      
-      if (mathResult.shortHospitalStay) {
-        mathTable += `
-| **Short Hospital Stay (<6 days)*** | **${mathResult.shortHospitalStay}%** |`;
-      }
-      
-      mathTable += `\n\n**Risk Category:** ${mathResult.riskCategory}  \n**Calculation Confidence:** ${mathResult.confidence}\n\n`;
-      
-      // Helper function to format detailed calculation steps for any outcome
-      function formatDetailedCalculation(steps, outcomeName, outcomeIcon) {
-        if (!steps || steps.length === 0) return '';
-        
-        let output = `---\n\n### ${outcomeIcon} DETAILED CALCULATION: ${outcomeName}\n\n`;
-        output += `This section shows the step-by-step mathematical calculation for **${outcomeName}** using logistic regression.\n\n`;
-        output += `**Formula:** P(outcome) = 1 / (1 + e^(-logit))  \n**Where:** logit = intercept + Σ(coefficient × risk_factor)\n\n`;
-        output += `---\n\n`;
-        output += `#### Risk Factor Contributions\n\n`;
-        output += `| Step | Risk Factor | Patient Value | Coefficient | Calculation | Logit Contribution |\n|---|---|---|---|---|---|\n`;
-        
-        let stepNum = 1;
-        let logitSum = 0;
-        let finalProbability = null;
-        
-        steps.forEach(s => {
-          // Skip the final transformation steps for now
-          if (s.variable.includes('TOTAL LOGIT')) {
-            logitSum = parseFloat(s.contribution);
-            return;
-          }
-          if (s.variable.includes('LOGISTIC TRANSFORMATION') || s.variable.includes('FINAL')) {
-            if (s.variable.includes('LOGISTIC TRANSFORMATION')) {
-              finalProbability = parseFloat(s.contribution);
-            }
-            return;
-          }
-          
-          // Format calculation field
-          let calcDisplay = s.calculation || '-';
-          if (!s.calculation && s.coefficient !== '-' && s.variable !== 'Baseline Intercept') {
-            calcDisplay = `${s.coefficient} × 1 = ${s.contribution}`;
-          } else if (s.variable === 'Baseline Intercept') {
-            calcDisplay = `Intercept = ${s.contribution}`;
-          }
-          
-          output += `| ${stepNum} | **${s.variable}** | ${s.value || 'N/A'} | ${s.coefficient} | ${calcDisplay} | **${s.contribution}** |\n`;
-          stepNum++;
-        });
-        
-        // Add summary steps
-        const totalLogitStep = steps.find(s => s.variable.includes('TOTAL LOGIT'));
-        if (totalLogitStep) {
-          output += `\n#### Total Logit (Sum of All Contributions)\n\n`;
-          output += `**Total Logit = ${totalLogitStep.contribution}**\n\n`;
-        }
-        
-        const logisticStep = steps.find(s => s.variable.includes('LOGISTIC TRANSFORMATION'));
-        if (logisticStep) {
-          output += `#### Logistic Transformation\n\n`;
-          output += `**P = 1 / (1 + e^(-${logitSum.toFixed(3)})) = ${finalProbability ? finalProbability.toFixed(6) : logisticStep.contribution}**\n\n`;
-        }
-        
-        const finalStep = steps.find(s => s.variable.includes('FINAL'));
-        if (finalStep) {
-          output += `#### Final Risk Estimate\n\n`;
-          output += `**${outcomeName} Risk = ${finalStep.contribution}**\n\n`;
-        }
-        
-        return output;
-      }
-      
-      // Add detailed step-by-step calculations for ALL outcomes
-      if (mathResult.detailedSteps && mathResult.detailedSteps.length > 0) {
-        mathTable += formatDetailedCalculation(mathResult.detailedSteps, 'Operative Mortality', '💀');
-      }
-      
-      if (mathResult.morbiditySteps && mathResult.morbiditySteps.length > 0) {
-        mathTable += formatDetailedCalculation(mathResult.morbiditySteps, 'Morbidity & Mortality (PROMM)', '⚕️');
-      }
-      
-      if (mathResult.strokeSteps && mathResult.strokeSteps.length > 0) {
-        mathTable += formatDetailedCalculation(mathResult.strokeSteps, 'Stroke', '🧠');
-      }
-      
-      if (mathResult.renalFailureSteps && mathResult.renalFailureSteps.length > 0) {
-        mathTable += formatDetailedCalculation(mathResult.renalFailureSteps, 'Renal Failure', '🫘');
-      }
-      
-      if (mathResult.reoperationSteps && mathResult.reoperationSteps.length > 0) {
-        mathTable += formatDetailedCalculation(mathResult.reoperationSteps, 'Reoperation', '🔄');
-      }
-      
-      if (mathResult.prolongedVentilationSteps && mathResult.prolongedVentilationSteps.length > 0) {
-        mathTable += formatDetailedCalculation(mathResult.prolongedVentilationSteps, 'Prolonged Ventilation (>24 hrs)', '🫁');
-      }
-      
-      if (mathResult.deepSternalWoundInfectionSteps && mathResult.deepSternalWoundInfectionSteps.length > 0) {
-        mathTable += formatDetailedCalculation(mathResult.deepSternalWoundInfectionSteps, 'Deep Sternal Wound Infection', '🦠');
-      }
-      
-      if (mathResult.longHospitalStaySteps && mathResult.longHospitalStaySteps.length > 0) {
-        mathTable += formatDetailedCalculation(mathResult.longHospitalStaySteps, 'Long Hospital Stay (>14 days)', '🏥');
-      }
-      
-      if (mathResult.shortHospitalStaySteps && mathResult.shortHospitalStaySteps.length > 0) {
-        mathTable += formatDetailedCalculation(mathResult.shortHospitalStaySteps, 'Short Hospital Stay (<6 days)', '✨');
-      }
+      const mathTable = buildManualCalculationMarkdown(structuredData, mathResult, euroResult);
       
       const stsForm = generateSTSFormHTML(structuredData);
       
-      // Prepare manual calculation summary for AI
-      const manualCalculationSummary = `
-**Manual Mathematical Model Results (ALL STS OUTCOMES):**
-
-| Outcome | Calculated Risk |
-|---|---|
-| Operative Mortality (PROM) | ${mathResult.mortality}% |
-| Morbidity & Mortality (PROMM) | ${mathResult.morbidity}% |
-${mathResult.stroke ? `| Stroke | ${mathResult.stroke}% |` : ''}
-${mathResult.renalFailure ? `| Renal Failure | ${mathResult.renalFailure} |` : ''}
-${mathResult.reoperation ? `| Reoperation | ${mathResult.reoperation}% |` : ''}
-${mathResult.prolongedVentilation ? `| Prolonged Ventilation | ${mathResult.prolongedVentilation}% |` : ''}
-${mathResult.deepSternalWoundInfection ? `| Deep Sternal Wound Infection | ${mathResult.deepSternalWoundInfection}% |` : ''}
-${mathResult.longHospitalStay ? `| Long Hospital Stay (>14d) | ${mathResult.longHospitalStay}% |` : ''}
-${mathResult.shortHospitalStay ? `| Short Hospital Stay (<6d) | ${mathResult.shortHospitalStay}% |` : ''}
-
-**Risk Category:** ${mathResult.riskCategory}
-**Model Type:** ${structuredData.procedureType || 'STS CABG'} Risk Model
-
-**Key Risk Factors:**
-${mathResult.detailedSteps ? mathResult.detailedSteps.slice(1, 8).map(s => `- ${s.variable}: ${s.contribution}`).join('\n') : 'Detailed steps available'}
-`;
-
       console.log('🤖 Stage 2A: AI risk estimation with manual calculation comparison...');
-      
-      const aiPrompt = `You are a cardiac surgery risk assessment specialist. You have been provided with both patient data and the manual mathematical calculation results from the official STS risk model.
-
-**Patient Data (Structured - MANUALLY EDITED):**
-${JSON.stringify(structuredData, null, 2)}
-
-${manualCalculationSummary}
-
-Your task is to:
-1. **ANALYZE THE MANUAL CALCULATIONS**: Review the mathematically calculated risks
-2. **COMPARE WITH YOUR ASSESSMENT**: Provide your own clinical risk assessment
-3. **IDENTIFY DISCREPANCIES**: If your assessment differs from the manual calculation, explain why
-4. **VALIDATE OR QUESTION**: Do the manual calculations align with the patient's clinical picture?
-
-Provide your analysis in this format:
-
-### MANUAL CALCULATION REVIEW
-- Briefly summarize what the mathematical model calculated
-- State whether these numbers seem reasonable for this patient
-
-### YOUR INDEPENDENT ASSESSMENT
-- **Estimated Mortality Risk (PROM)**: X%
-- **Estimated Morbidity Risk (PROMM)**: X%
-- **Risk Category**: Low/Moderate/High
-- Brief clinical reasoning
-
-### COMPARISON & DISCREPANCY ANALYSIS
-- Compare your assessment with the manual calculation
-- If they differ significantly (>1%), explain the clinical reasons
-- Highlight any risk factors the mathematical model might have weighted differently
-
-### KEY RISK FACTORS & RECOMMENDATIONS
-- List major contributors to risk
-- Perioperative considerations
-- Clinical recommendations
-
-Be specific, analytical, and highlight any important differences between the mathematical model and clinical judgment.`;
-
-      const aiEst = await openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [{ role: 'user', content: aiPrompt }],
-        temperature: 0.3
-      });
-
-      const aiText = aiEst.choices[0].message.content;
+      const aiText = await runAIAnalysisSection(structuredData, mathResult, { edited: true, euroscore: euroResult }, offline);
       
       const report = `
 # STS RISK SCORE ANALYSIS
@@ -400,12 +255,12 @@ ${stsForm}
 **⚠️ NOTE:** This section uses **purely algorithmic calculations** based on published STS mathematical models. This is NOT AI-generated - it is deterministic mathematical computation using logistic regression coefficients.
 
 **Model Type:** ${structuredData.procedureType || 'General'} Risk Model  
-**Method:** Deterministic Logistic Regression with Published STS Coefficients  
+**Method:** Deterministic Logistic Regression (${mathResult.modelVersion || 'not calculated'})  
 **Calculation Type:** Algorithmic (non-AI)
 
 ---
 
-${mathTable}
+${mathTable}${formatProvenance(provenance)}
 
 ---SECTION---
 
@@ -420,19 +275,20 @@ ${aiText}
 ### Methodology Summary
 
 This analysis combines three approaches:
-1. **Patient Data Extraction** (AI + Human Review): Structured data from clinical notes
+1. **Patient Data Extraction** (${offline ? 'Rule-based' : 'AI'} + Human Review): Structured data from clinical notes
 2. **Manual Mathematical Calculation** (Algorithmic): Deterministic STS logistic regression models  
-3. **AI Clinical Analysis** (GPT-4o): Independent assessment and comparison with mathematical results
+3. **AI Clinical Analysis** (${describeAIAnalysis(offline)}): Independent assessment and comparison with mathematical results
 
 This three-method approach ensures comprehensive risk stratification. Use alongside clinical judgment and patient preferences for shared decision-making.
 
-**Medical Disclaimer:** These estimates are computational tools for clinical decision support and do not replace physician judgment.
+${formatModelAccuracy(getReferenceSummary(), mathResult)}**Medical Disclaimer:** These estimates are computational tools for clinical decision support and do not replace physician judgment.
 
 ---SECTION---`;
 
       return res.json({ 
         response: report,
-        structuredData: structuredData
+        structuredData: structuredData,
+        provenance
       });
 
     } catch (err) {
@@ -459,341 +315,29 @@ This three-method approach ensures comprehensive risk stratification. Use alongs
   try {
     console.log('📝 Stage 1: Comprehensive data extraction...');
     
-    const extractionPrompt = `Extract ALL STS Risk Calculator fields from these patient notes. Return ONLY valid JSON.
-
-REQUIRED FIELDS (extract every one possible):
-
-{
-  // PLANNED SURGERY
-  "procedureType": "Isolated CABG" | "Isolated AVR" | "Isolated MVR" | "AVR + CABG" | "MVR + CABG" | "MV Repair" | "MV Repair for Primary MR" | "MV Repair + CABG" | null,
-  "surgeryIncidence": "First CV surgery" | "ReOp#1" | "ReOp#2" | "ReOp#3" | "ReOp≥4" | null,
-  "priority": "Elective" | "Urgent" | "Emergent" | "Emergent Salvage" | null,
-  
-  // DEMOGRAPHICS
-  "age": number | null,
-  "gender": "Male" | "Female" | null,
-  "height": number (cm) | null,
-  "weight": number (kg) | null,
-  "bmi": number | null,
-  "race": string | null,
-  "payor": string | null,
-  
-  // LABORATORY
-  "creatinine": number (mg/dL) | null,
-  "hematocrit": number (%) | null,
-  "wbc": number (10³/μL) | null,
-  "platelets": number (cells/μL) | null,
-  
-  // PREOP MEDICATIONS
-  "medACEInhibitors": boolean,
-  "medGPInhibitor": boolean,
-  "medInotropes": boolean,
-  "medSteroids": boolean,
-  "medADPInhibitors": boolean,
-  
-  // RISK FACTORS
-  "diabetes": "No" | "Yes, Diet Only" | "Yes, Oral" | "Yes, Insulin" | "Yes, Other SubQ" | null,
-  "familyHxCAD": boolean,
-  "hypertension": boolean,
-  "liverDisease": boolean,
-  "mediastinalRadiation": boolean,
-  "unresponsiveState": boolean,
-  "dialysis": boolean,
-  "cancer": boolean,
-  "syncope": boolean,
-  "immunocompromised": boolean,
-  "endocarditis": "No" | "Yes, treated" | "Yes, active" | "Yes, unknown" | null,
-  "illicitDrugUse": "No" | "Yes" | "Unknown" | null,
-  "alcoholUse": "None" | "≤ 1 drink/week" | "2-7 drinks/week" | "≥ 8 drinks/week" | null,
-  "tobaccoUse": "Never smoker" | "Current smoker" | "Former smoker" | null,
-  
-  // PULMONARY
-  "chronicLungDisease": "No" | "Mild" | "Moderate" | "Severe" | "Severity Unknown" | null,
-  "recentPneumonia": boolean,
-  "sleepApnea": boolean,
-  "homeOxygen": boolean,
-  
-  // VASCULAR
-  "cerebrovascularDisease": "No" | "CVA ≤ 30 days" | "CVA > 30 days" | "TIA" | "Other CVD" | null,
-  "pvd": boolean,
-  "priorCarotidSurgery": boolean,
-  "rightCarotidStenosis": boolean,
-  "leftCarotidStenosis": boolean,
-  
-  // CARDIAC STATUS
-  "heartFailure": "None" | "Yes - Acute" | "Yes - Chronic" | "Yes - Both" | null,
-  "nyhaClass": "Class I" | "Class II" | "Class III" | "Class IV" | null,
-  "mechanicalSupport": string | null,
-  "ejectionFraction": number (%) | null,
-  "cardiogenicShock": boolean,
-  "resuscitation": boolean,
-  
-  // CAD
-  "primaryCoronarySymptom": "No coronary symptoms" | "Stable Angina" | "Unstable Angina" | "Non-ST Elevation MI" | "STEMI" | null,
-  "miTiming": "No MI" | "≤ 6 Hrs" | ">6 Hrs but <24 Hrs" | "1 to 7 Days" | "8 to 21 Days" | "> 21 Days" | null,
-  "numberOfDiseasedVessels": "None" | "One" | "Two" | "Three" | null,
-  "leftMainStenosis": boolean,
-  "proximalLADStenosis": boolean,
-  
-  // VALVE
-  "aorticStenosis": boolean,
-  "mitralStenosis": boolean,
-  "aorticRootAbscess": boolean,
-  "aorticRegurgitation": "None" | "Trivial/Trace" | "Mild" | "Moderate" | "Severe" | null,
-  "mitralRegurgitation": "None" | "Trivial/Trace" | "Mild" | "Moderate" | "Severe" | null,
-  "tricuspidRegurgitation": "None" | "Trivial/Trace" | "Mild" | "Moderate" | "Severe" | null,
-  
-  // ARRHYTHMIA
-  "atrialFibrillation": "None" | "Remote" | "Recent" | null,
-  "atrialFlutter": "None" | "Remote" | "Recent" | null,
-  "ventricularArrhythmia": "None" | "Remote" | "Recent" | null,
-  
-  // PREVIOUS INTERVENTIONS
-  "previousCABG": boolean,
-  "previousValve": boolean,
-  "previousPCI": boolean
-}
-
-Patient Notes:
-${patientNotesInput}
-
-Return ONLY the JSON object. Extract everything possible, use null for missing data, false for booleans.`;
-
-    const extraction = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [{ role: 'user', content: extractionPrompt }],
-      temperature: 0.1
-    });
-
-    let structuredData = JSON.parse(
-      extraction.choices[0].message.content.trim()
-        .replace(/```json\n?/g, '').replace(/```\n?/g, '')
-    );
+    const extraction = await extractForAnalysis(patientNotesInput, { offline });
+    if (Object.keys(extraction.data).length === 0) {
+      return res.status(502).json({
+        error: 'Data extraction failed',
+        details: extractionFailure(extraction),
+        extraction
+      });
+    }
+    const structuredData = extraction.data;
 
     console.log('🔢 Stage 2B: Mathematical calculation (performed FIRST)...');
     
     const mathResult = calculateSTSRisk(structuredData);
+    const euroResult = calculateEuroScoreII(structuredData);
+    const reviewQueue = buildReviewQueue(structuredData, extraction.confidence, mathResult, extraction.crossCheck ? extraction.crossCheck.disagreements : []);
+    const provenance = buildProvenance(structuredData, extraction.confidence);
 
-    // Format results as clean table similar to official STS calculator
-    let mathTable = `
-### 🔬 CALCULATED PERIOPERATIVE RISK ESTIMATES
-
-**Model Type:** ${structuredData.procedureType || 'STS CABG'} Risk Model  
-**Method:** Published STS Logistic Regression Coefficients (2018)  
-
-| PERIOPERATIVE OUTCOME | ESTIMATE % |
-|---|---|
-| **Operative Mortality** | **${mathResult.mortality}%** |
-| **Morbidity & Mortality** | **${mathResult.morbidity || 'Not calculated'}%** |`;
-
-    // Add additional outcomes if available (CABG only)
-    if (mathResult.stroke) {
-      mathTable += `
-| **Stroke** | **${mathResult.stroke}%** |`;
-    }
-    
-    if (mathResult.renalFailure) {
-      mathTable += `
-| **Renal Failure** | **${mathResult.renalFailure}** |`;
-    }
-    
-    if (mathResult.reoperation) {
-      mathTable += `
-| **Reoperation** | **${mathResult.reoperation}%** |`;
-    }
-    
-    if (mathResult.prolongedVentilation) {
-      mathTable += `
-| **Prolonged Ventilation** | **${mathResult.prolongedVentilation}%** |`;
-    }
-    
-    if (mathResult.deepSternalWoundInfection) {
-      mathTable += `
-| **Deep Sternal Wound Infection** | **${mathResult.deepSternalWoundInfection}%** |`;
-    }
-    
-    if (mathResult.longHospitalStay) {
-      mathTable += `
-| **Long Hospital Stay (> 14 days)** | **${mathResult.longHospitalStay}%** |`;
-    }
-    
-    if (mathResult.shortHospitalStay) {
-      mathTable += `
-| **Short Hospital Stay (<6 days)*** | **${mathResult.shortHospitalStay}%** |`;
-    }
-    
-    mathTable += `\n\n**Risk Category:** ${mathResult.riskCategory}  \n**Calculation Confidence:** ${mathResult.confidence}\n\n`;
-    
-    // Helper function to format detailed calculation steps for any outcome
-    function formatDetailedCalculation(steps, outcomeName, outcomeIcon) {
-      if (!steps || steps.length === 0) return '';
-      
-      let output = `---\n\n### ${outcomeIcon} DETAILED CALCULATION: ${outcomeName}\n\n`;
-      output += `This section shows the step-by-step mathematical calculation for **${outcomeName}** using logistic regression.\n\n`;
-      output += `**Formula:** P(outcome) = 1 / (1 + e^(-logit))  \n**Where:** logit = intercept + Σ(coefficient × risk_factor)\n\n`;
-      output += `---\n\n`;
-      output += `#### Risk Factor Contributions\n\n`;
-      output += `| Step | Risk Factor | Patient Value | Coefficient | Calculation | Logit Contribution |\n|---|---|---|---|---|---|\n`;
-      
-      let stepNum = 1;
-      let logitSum = 0;
-      let finalProbability = null;
-      
-      steps.forEach(s => {
-        // Skip the final transformation steps for now
-        if (s.variable.includes('TOTAL LOGIT')) {
-          logitSum = parseFloat(s.contribution);
-          return;
-        }
-        if (s.variable.includes('LOGISTIC TRANSFORMATION') || s.variable.includes('FINAL')) {
-          if (s.variable.includes('LOGISTIC TRANSFORMATION')) {
-            finalProbability = parseFloat(s.contribution);
-          }
-          return;
-        }
-        
-        // Format calculation field
-        let calcDisplay = s.calculation || '-';
-        if (!s.calculation && s.coefficient !== '-' && s.variable !== 'Baseline Intercept') {
-          calcDisplay = `${s.coefficient} × 1 = ${s.contribution}`;
-        } else if (s.variable === 'Baseline Intercept') {
-          calcDisplay = `Intercept = ${s.contribution}`;
-        }
-        
-        output += `| ${stepNum} | **${s.variable}** | ${s.value || 'N/A'} | ${s.coefficient} | ${calcDisplay} | **${s.contribution}** |\n`;
-        stepNum++;
-      });
-      
-      // Add summary steps
-      const totalLogitStep = steps.find(s => s.variable.includes('TOTAL LOGIT'));
-      if (totalLogitStep) {
-        output += `\n#### Total Logit (Sum of All Contributions)\n\n`;
-        output += `**Total Logit = ${totalLogitStep.contribution}**\n\n`;
-      }
-      
-      const logisticStep = steps.find(s => s.variable.includes('LOGISTIC TRANSFORMATION'));
-      if (logisticStep) {
-        output += `#### Logistic Transformation\n\n`;
-        output += `**P = 1 / (1 + e^(-${logitSum.toFixed(3)})) = ${finalProbability ? finalProbability.toFixed(6) : logisticStep.contribution}**\n\n`;
-      }
-      
-      const finalStep = steps.find(s => s.variable.includes('FINAL'));
-      if (finalStep) {
-        output += `#### Final Risk Estimate\n\n`;
-        output += `**${outcomeName} Risk = ${finalStep.contribution}**\n\n`;
-      }
-      
-      return output;
-    }
-    
-    // Add detailed step-by-step calculations for ALL outcomes
-    if (mathResult.detailedSteps && mathResult.detailedSteps.length > 0) {
-      mathTable += formatDetailedCalculation(mathResult.detailedSteps, 'Operative Mortality', '💀');
-    }
-    
-    if (mathResult.morbiditySteps && mathResult.morbiditySteps.length > 0) {
-      mathTable += formatDetailedCalculation(mathResult.morbiditySteps, 'Morbidity & Mortality (PROMM)', '⚕️');
-    }
-    
-    if (mathResult.strokeSteps && mathResult.strokeSteps.length > 0) {
-      mathTable += formatDetailedCalculation(mathResult.strokeSteps, 'Stroke', '🧠');
-    }
-    
-    if (mathResult.renalFailureSteps && mathResult.renalFailureSteps.length > 0) {
-      mathTable += formatDetailedCalculation(mathResult.renalFailureSteps, 'Renal Failure', '🫘');
-    }
-    
-    if (mathResult.reoperationSteps && mathResult.reoperationSteps.length > 0) {
-      mathTable += formatDetailedCalculation(mathResult.reoperationSteps, 'Reoperation', '🔄');
-    }
-    
-    if (mathResult.prolongedVentilationSteps && mathResult.prolongedVentilationSteps.length > 0) {
-      mathTable += formatDetailedCalculation(mathResult.prolongedVentilationSteps, 'Prolonged Ventilation (>24 hrs)', '🫁');
-    }
-    
-    if (mathResult.deepSternalWoundInfectionSteps && mathResult.deepSternalWoundInfectionSteps.length > 0) {
-      mathTable += formatDetailedCalculation(mathResult.deepSternalWoundInfectionSteps, 'Deep Sternal Wound Infection', '🦠');
-    }
-    
-    if (mathResult.longHospitalStaySteps && mathResult.longHospitalStaySteps.length > 0) {
-      mathTable += formatDetailedCalculation(mathResult.longHospitalStaySteps, 'Long Hospital Stay (>14 days)', '🏥');
-    }
-    
-    if (mathResult.shortHospitalStaySteps && mathResult.shortHospitalStaySteps.length > 0) {
-      mathTable += formatDetailedCalculation(mathResult.shortHospitalStaySteps, 'Short Hospital Stay (<6 days)', '✨');
-    }
+    const mathTable = buildManualCalculationMarkdown(structuredData, mathResult, euroResult);
     
     const stsForm = generateSTSFormHTML(structuredData);
     
-    // Prepare manual calculation summary for AI
-    const manualCalculationSummary = `
-**Manual Mathematical Model Results (ALL STS OUTCOMES):**
-
-| Outcome | Calculated Risk |
-|---|---|
-| Operative Mortality (PROM) | ${mathResult.mortality}% |
-| Morbidity & Mortality (PROMM) | ${mathResult.morbidity}% |
-${mathResult.stroke ? `| Stroke | ${mathResult.stroke}% |` : ''}
-${mathResult.renalFailure ? `| Renal Failure | ${mathResult.renalFailure} |` : ''}
-${mathResult.reoperation ? `| Reoperation | ${mathResult.reoperation}% |` : ''}
-${mathResult.prolongedVentilation ? `| Prolonged Ventilation | ${mathResult.prolongedVentilation}% |` : ''}
-${mathResult.deepSternalWoundInfection ? `| Deep Sternal Wound Infection | ${mathResult.deepSternalWoundInfection}% |` : ''}
-${mathResult.longHospitalStay ? `| Long Hospital Stay (>14d) | ${mathResult.longHospitalStay}% |` : ''}
-${mathResult.shortHospitalStay ? `| Short Hospital Stay (<6d) | ${mathResult.shortHospitalStay}% |` : ''}
-
-**Risk Category:** ${mathResult.riskCategory}
-**Model Type:** ${structuredData.procedureType || 'STS CABG'} Risk Model
-
-**Key Risk Factors:**
-${mathResult.detailedSteps ? mathResult.detailedSteps.slice(1, 8).map(s => `- ${s.variable}: ${s.contribution}`).join('\n') : 'Detailed steps available'}
-`;
-
     console.log('🤖 Stage 2A: AI risk estimation with manual calculation comparison...');
-    
-    const aiPrompt = `You are a cardiac surgery risk assessment specialist. You have been provided with both patient data and the manual mathematical calculation results from the official STS risk model.
-
-**Patient Data (Structured):**
-${JSON.stringify(structuredData, null, 2)}
-
-${manualCalculationSummary}
-
-Your task is to:
-1. **ANALYZE THE MANUAL CALCULATIONS**: Review the mathematically calculated risks
-2. **COMPARE WITH YOUR ASSESSMENT**: Provide your own clinical risk assessment
-3. **IDENTIFY DISCREPANCIES**: If your assessment differs from the manual calculation, explain why
-4. **VALIDATE OR QUESTION**: Do the manual calculations align with the patient's clinical picture?
-
-Provide your analysis in this format:
-
-### MANUAL CALCULATION REVIEW
-- Briefly summarize what the mathematical model calculated
-- State whether these numbers seem reasonable for this patient
-
-### YOUR INDEPENDENT ASSESSMENT
-- **Estimated Mortality Risk (PROM)**: X%
-- **Estimated Morbidity Risk (PROMM)**: X%
-- **Risk Category**: Low/Moderate/High
-- Brief clinical reasoning
-
-### COMPARISON & DISCREPANCY ANALYSIS
-- Compare your assessment with the manual calculation
-- If they differ significantly (>1%), explain the clinical reasons
-- Highlight any risk factors the mathematical model might have weighted differently
-
-### KEY RISK FACTORS & RECOMMENDATIONS
-- List major contributors to risk
-- Perioperative considerations
-- Clinical recommendations
-
-Be specific, analytical, and highlight any important differences between the mathematical model and clinical judgment.`;
-
-    const aiEst = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [{ role: 'user', content: aiPrompt }],
-      temperature: 0.3
-    });
-
-    const aiText = aiEst.choices[0].message.content;
+    const aiText = await runAIAnalysisSection(structuredData, mathResult, { euroscore: euroResult, extraction }, offline);
     
     const report = `
 # STS RISK SCORE ANALYSIS
@@ -803,7 +347,7 @@ Be specific, analytical, and highlight any important differences between the mat
 
 ## 📋 TAB 1: PATIENT DATA (Complete Official STS Form)
 
-${stsForm}
+${formatReviewQueue(reviewQueue)}${formatExtractionReview(extraction)}${stsForm}
 
 ---
 
@@ -812,12 +356,12 @@ ${stsForm}
 **⚠️ NOTE:** This section uses **purely algorithmic calculations** based on published STS mathematical models. This is NOT AI-generated - it is deterministic mathematical computation using logistic regression coefficients.
 
 **Model Type:** ${structuredData.procedureType || 'General'} Risk Model  
-**Method:** Deterministic Logistic Regression with Published STS Coefficients  
+**Method:** Deterministic Logistic Regression (${mathResult.modelVersion || 'not calculated'})  
 **Calculation Type:** Algorithmic (non-AI)
 
 ---
 
-${mathTable}
+${mathTable}${formatProvenance(provenance)}
 
 ---SECTION---
 
@@ -832,19 +376,32 @@ ${aiText}
 ### Methodology Summary
 
 This analysis combines three approaches:
-1. **Patient Data Extraction** (AI + Human Review): Structured data from clinical notes
+1. **Patient Data Extraction** (${extraction.method === 'rules' ? 'Rule-based' : 'AI, cross-checked by rules'} + Human Review): Structured data from clinical notes
 2. **Manual Mathematical Calculation** (Algorithmic): Deterministic STS logistic regression models  
-3. **AI Clinical Analysis** (GPT-4o): Independent assessment and comparison with mathematical results
+3. **AI Clinical Analysis** (${describeAIAnalysis(offline)}): Independent assessment and comparison with mathematical results
 
 This three-method approach ensures comprehensive risk stratification. Use alongside clinical judgment and patient preferences for shared decision-making.
 
-**Medical Disclaimer:** These estimates are computational tools for clinical decision support and do not replace physician judgment.
+${formatModelAccuracy(getReferenceSummary(), mathResult)}**Medical Disclaimer:** These estimates are computational tools for clinical decision support and do not replace physician judgment.
 
 ---SECTION---`;
 
     res.json({ 
       response: report,
-      structuredData: structuredData // Include for standalone page
+      structuredData: structuredData, // Include for standalone page
+      extraction: {
+        attempts: extraction.attempts,
+        schemaVersion: extraction.schemaVersion,
+        needsReview: extraction.needsReview,
+        evidence: extraction.evidence,
+        unsupported: extraction.unsupported,
+        confidence: extraction.confidence,
+        reviewQueue,
+        method: extraction.method,
+        fallback: extraction.fallback,
+        crossCheck: extraction.crossCheck
+      },
+      provenance
     });
 
   } catch (err) {
@@ -853,4 +410,72 @@ This three-method approach ensures comprehensive risk stratification. Use alongs
   }
 });
 
+// POST /api/sts-score/batch
+// Body: { patients: [...] } or { csv: "..." }, or a text/csv upload (header row = field names)
+// Options (body or query): format=json|csv, intervals=true, ai=true (LLM comparison per row, off by default)
+router.post('/batch', express.text({ type: ['text/csv', 'application/csv'], limit: '5mb' }), async (req, res) => {
+  const body = typeof req.body === 'object' && req.body !== null ? req.body : {};
+  const option = name => String(body[name] !== undefined ? body[name] : req.query[name] || '').toLowerCase();
+  const format = option('format') || 'json';
+  const runAI = option('ai') === 'true';
+
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format', details: 'format must be json or csv' });
+  }
+
+  let patients = body.patients;
+  const csvText = typeof req.body === 'string' ? req.body : body.csv;
+  if (typeof csvText === 'string') {
+    const parsed = parsePatientsCSV(csvText);
+    if (parsed.error) {
+      return res.status(400).json({ error: 'Invalid CSV', details: parsed.error });
+    }
+    patients = parsed.patients;
+  }
+
+  const invalid = validateBatch(patients);
+  if (invalid) {
+    return res.status(400).json({ error: 'Invalid batch', details: invalid });
+  }
+  if (runAI && patients.length > MAX_AI_BATCH_ROWS) {
+    return res.status(400).json({ error: 'Invalid batch', details: `ai=true is limited to ${MAX_AI_BATCH_ROWS} patients` });
+  }
+
+  try {
+    console.log(`📦 Batch scoring: ${patients.length} patient(s)${runAI ? ' with AI comparison' : ''}...`);
+    // Scored in chunks that yield to the event loop; stops if the client goes away
+    let clientGone = false;
+    res.on('close', () => { clientGone = !res.writableFinished; });
+    const { rows, summary, cancelled } = await scoreBatchAsync(patients, {
+      intervals: option('intervals') === 'true',
+      isCancelled: () => clientGone
+    });
+    if (cancelled) {
+      console.log(`📦 Batch scoring stopped after ${rows.length} patient(s): client disconnected`);
+      return;
+    }
+
+    if (runAI) {
+      // One row at a time: a failed AI call is reported on its row, the batch still returns
+      for (const row of rows) {
+        if (row.status !== 'scored') continue;
+        try {
+          row.aiAnalysis = await runAIComparison(normalizePatientData(patients[row.row - 1]).data, row.result);
+        } catch (err) {
+          row.aiError = err.message;
+        }
+      }
+    }
+
+    if (format === 'csv') {
+      res.type('text/csv').attachment('sts-batch-results.csv').send(batchToCSV(rows));
+    } else {
+      res.json({ summary, rows: publicRows(rows) });
+    }
+  } catch (err) {
+    console.error('❌ Error in batch scoring:', err);
+    res.status(500).json({ error: 'Failed to score batch', details: err.message });
+  }
+});
+
 module.exports = router;
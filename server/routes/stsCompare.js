@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { compareProcedures, resolveProcedureTypes, listComparableProcedures } = require('../utils/stsComparison');
+
+// GET /api/sts-compare/procedures
+router.get('/procedures', (req, res) => {
+  res.json({ procedureTypes: listComparableProcedures() });
+});
+
+// POST /api/sts-compare
+// Body: { patient: { ...structured STS data }, procedureTypes: ['Isolated CABG', 'AVR + CABG'] }
+// Scores the same patient under each procedure with the mathematical model only (no re-extraction).
+router.post('/', (req, res) => {
+  const { patient, procedureTypes } = req.body || {};
+
+  if (!patient || typeof patient !== 'object' || Array.isArray(patient)) {
+    return res.status(400).json({ error: 'Structured patient data required' });
+  }
+
+  const resolved = resolveProcedureTypes(procedureTypes);
+  if (resolved.error) {
+    return res.status(400).json({ error: 'Invalid procedure types', details: resolved.error });
+  }
+
+  try {
+    console.log(`⚖️ Comparing procedures: ${resolved.procedureTypes.join(' vs ')}`);
+    res.json(compareProcedures(patient, resolved.procedureTypes));
+  } catch (err) {
+    console.error('❌ Error comparing procedures:', err);
+    res.status(500).json({ error: 'Failed to compare procedures', details: err.message });
+  }
+});
+
+module.exports = router;
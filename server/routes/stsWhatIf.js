@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { runWhatIf, validatePerturbations } = require('../utils/stsWhatIf');
+
+// POST /api/sts-what-if
+// Body: { patient: { ...structured STS data }, perturbations: [...] }
+// Recomputes the STS outcomes for each scenario with the mathematical model only (no LLM).
+router.post('/', async (req, res) => {
+  const { patient, perturbations = [] } = req.body || {};
+
+  if (!patient || typeof patient !== 'object' || Array.isArray(patient)) {
+    return res.status(400).json({ error: 'Structured patient data required' });
+  }
+
+  const invalid = validatePerturbations(perturbations);
+  if (invalid) {
+    return res.status(400).json({ error: 'Invalid perturbations', details: invalid });
+  }
+
+  try {
+    console.log(`🔀 What-if analysis: ${perturbations.length} perturbation(s)...`);
+    // Scored in chunks that yield to the event loop; stops if the client goes away
+    let clientGone = false;
+    res.on('close', () => { clientGone = !res.writableFinished; });
+    const { cancelled, ...analysis } = await runWhatIf(patient, perturbations, { isCancelled: () => clientGone });
+    if (cancelled) {
+      console.log(`🔀 What-if analysis stopped after ${analysis.scenarios.length} scenario(s): client disconnected`);
+      return;
+    }
+    res.json(analysis);
+  } catch (err) {
+    console.error('❌ Error in what-if analysis:', err);
+    res.status(500).json({ error: 'Failed to run what-if analysis', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * ECMO-SVC: domain points, timing thresholds, overrides and missing domains
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateECMOScore, MAX_MISSING_DOMAINS } = require('../utils/ecmoScore');
+
+test('timing is the highest threshold the total reaches', () => {
+  const cases = [
+    [{ symptomSeverity: 'none', vascularCongestion: 'none', anatomicCompression: 'none', hemodynamicStatus: 'stable' }, 0, 'none'],
+    [{ symptomSeverity: 'mild', vascularCongestion: 'mild', anatomicCompression: 'partial', hemodynamicStatus: 'positional' }, 4, 'standby'],
+    [{ symptomSeverity: 'severe', vascularCongestion: 'moderate', anatomicCompression: 'severe', hemodynamicStatus: 'stable' }, 7, 'elective'],
+    [{ symptomSeverity: 'severe', vascularCongestion: 'severe', anatomicCompression: 'severe', hemodynamicStatus: 'compromised' }, 10, 'rescue']
+  ];
+  cases.forEach(([findings, total, timing]) => {
+    const result = calculateECMOScore(findings);
+    assert.equal(result.totalScore, total);
+    assert.equal(result.timing.id, timing);
+    assert.equal(result.timing.basis, 'score');
+  });
+});
+
+test('levels by id, label, points or leading text; aliases for domains', () => {
+  const result = calculateECMOScore({
+    symptoms: 'Moderate - dysphagia and hoarseness',
+    congestion: 2,
+    anatomicCompression: { level: '1', evidence: 'SVC narrowed 40% on CT' },
+    hemodynamics: 'Stable'
+  });
+  assert.equal(result.totalScore, 5);
+  assert.equal(result.domains.find(domain => domain.id === 'anatomicCompression').evidence, 'SVC narrowed 40% on CT');
+});
+
+test('overrides raise timing but never lower it', () => {
+  const unstable = calculateECMOScore({ symptomSeverity: 'none', vascularCongestion: 'none', anatomicCompression: 'none', hemodynamicStatus: 'unstable' });
+  assert.equal(unstable.totalScore, 3);
+  assert.equal(unstable.timing.id, 'rescue');
+  assert.equal(unstable.timing.scoreTiming, 'None');
+  assert.equal(unstable.timing.basis, 'override');
+
+  const critical = calculateECMOScore({ symptomSeverity: 'severe', vascularCongestion: 'severe', anatomicCompression: 'critical', hemodynamicStatus: 'compromised' });
+  assert.equal(critical.totalScore, 11);
+  assert.equal(critical.timing.id, 'rescue');
+  assert.equal(critical.timing.basis, 'score');
+});
+
+test('one undocumented domain scores 0 with low confidence', () => {
+  assert.equal(MAX_MISSING_DOMAINS, 1);
+  const result = calculateECMOScore({ symptomSeverity: 'severe', vascularCongestion: 'moderate', anatomicCompression: 'severe' });
+  assert.equal(result.blocked, false);
+  assert.equal(result.totalScore, 7);
+  assert.equal(result.timing.id, 'elective');
+  assert.deepEqual(result.missingDomains, ['Hemodynamic Status']);
+  assert.equal(result.confidence, 'low');
+});
+
+test('more undocumented domains block the score', () => {
+  const result = calculateECMOScore({ symptomSeverity: 'severe', vascularCongestion: 'moderate' });
+  assert.equal(result.blocked, true);
+  assert.equal(result.totalScore, null);
+  assert.equal(result.validation.errors[0].code, 'insufficient_findings');
+  assert.deepEqual(result.missingDomains, ['Anatomic Compression', 'Hemodynamic Status']);
+
+  assert.equal(calculateECMOScore({}).validation.errors[0].code, 'insufficient_findings');
+});
+
+test('an unrecognised level blocks rather than scores 0', () => {
+  const result = calculateECMOScore({ symptomSeverity: 'extreme', vascularCongestion: 'mild', anatomicCompression: 'none', hemodynamicStatus: 'stable' });
+  assert.equal(result.blocked, true);
+  assert.equal(result.validation.errors[0].code, 'invalid_level');
+});
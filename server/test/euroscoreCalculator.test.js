@@ -0,0 +1,31 @@
+/**
+ * EuroSCORE II against values worked by hand from the published coefficients
+ * (Nashef SA, et al. Eur J Cardiothorac Surg 2012;41:734-45)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateEuroScoreII } = require('../utils/euroscoreCalculator');
+
+test('70M, CrCl 78, NYHA II, elective isolated AVR: 1.00%', () => {
+  const result = calculateEuroScoreII({
+    age: 70, gender: 'Male', creatinineClearance: 78, nyhaClass: 'Class II', priority: 'Elective', procedureType: 'Isolated AVR'
+  });
+  assert.equal(result.blocked, false);
+  assert.equal(result.mortality, '1.00');
+});
+
+test('70F, CrCl 78, NYHA II, EF 40%, urgent isolated CABG: 2.30%', () => {
+  // -5.324537 + 11 × 0.0285181 (age) + 0.2196434 (female) + 0.303553 (CrCl 51-85)
+  // + 0.1070545 (NYHA II) + 0.3150652 (LVEF 31-50) + 0.3174673 (urgent) = -3.748
+  const result = calculateEuroScoreII({
+    age: 70, gender: 'Female', creatinineClearance: 78, nyhaClass: 'Class II', priority: 'Urgent',
+    procedureType: 'Isolated CABG', ejectionFraction: 40
+  });
+  assert.equal(result.mortality, '2.30');
+});
+
+test('age is required', () => {
+  const result = calculateEuroScoreII({ gender: 'Male', procedureType: 'Isolated CABG' });
+  assert.equal(result.mortality, null);
+});
@@ -0,0 +1,55 @@
+/**
+ * Calibration metrics on a small labelled cohort
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateCalibration, validateCohort } = require('../utils/stsCalibration');
+const { calculateSTSRisk } = require('../utils/stsCalculator');
+
+// Same operation, risk rising with age; events on the 2nd and 4th patient
+const COHORT = [60, 70, 80, 90].map((age, index) => ({
+  id: `P${index + 1}`,
+  age,
+  gender: 'Male',
+  procedureType: 'Isolated CABG',
+  observed_mortality: index % 2 === 1 ? 'yes' : 'no'
+}));
+
+test('O/E, C-statistic and Brier score for mortality', () => {
+  const predicted = COHORT.map(({ id, observed_mortality, ...patient }) => parseFloat(calculateSTSRisk(patient, { intervals: false }).mortality) / 100);
+  const expected = predicted.reduce((sum, value) => sum + value, 0);
+  const brier = predicted.reduce((sum, value, index) => sum + Math.pow(value - (index % 2), 2), 0) / predicted.length;
+
+  const result = evaluateCalibration(COHORT);
+  const mortality = result.outcomes.mortality;
+  assert.equal(result.scored, 4);
+  assert.equal(mortality.n, 4);
+  assert.equal(mortality.observed, 2);
+  assert.equal(mortality.oeRatio, Number((2 / expected).toFixed(3)));
+  assert.equal(mortality.brier, Number(brier.toFixed(4)));
+  // Events rank 2nd and 4th of 4: 3 of 4 event/non-event pairs ordered correctly
+  assert.equal(mortality.cStatistic, 0.75);
+  assert.equal(mortality.calibration.length, 4);
+  assert.deepEqual(Object.keys(result.outcomes), ['mortality']);
+});
+
+test('C-statistic needs both events and non-events', () => {
+  const allSurvived = COHORT.map(item => ({ ...item, observed_mortality: 0 }));
+  const mortality = evaluateCalibration(allSurvived).outcomes.mortality;
+  assert.equal(mortality.cStatistic, null);
+  assert.equal(mortality.oeInterval, null);
+});
+
+test('blocked cases are excluded, not scored', () => {
+  const result = evaluateCalibration([...COHORT, { id: 'P5', gender: 'Male', procedureType: 'Isolated CABG', age: 'unknown', observed_mortality: 1 }]);
+  assert.equal(result.scored, 4);
+  assert.equal(result.excluded.length, 1);
+  assert.equal(result.excluded[0].id, 'P5');
+});
+
+test('a cohort without observed outcomes is rejected', () => {
+  assert.equal(validateCohort([]), 'no cases to evaluate');
+  assert.notEqual(validateCohort([{ age: 70, procedureType: 'Isolated CABG' }]), null);
+  assert.equal(validateCohort(COHORT), null);
+});
@@ -0,0 +1,44 @@
+/**
+ * Field aliases: a stated canonical value always wins; an alias only fills
+ * a canonical field that is absent or negative
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePatientData, canonicalField } = require('../utils/stsNormalizer');
+
+test('an alias never replaces a stated canonical enum value', () => {
+  const { data, aliases } = normalizePatientData({
+    gender: 'Male', sex: 'Female',
+    procedureType: 'Isolated CABG', procedure: 'AVR',
+    priority: 'Elective', urgency: 'emergency'
+  });
+  assert.equal(data.gender, 'Male');
+  assert.equal(data.procedureType, 'Isolated CABG');
+  assert.equal(data.priority, 'Elective');
+  assert.deepEqual(aliases, []);
+});
+
+test('a positive alias fills a negative canonical value', () => {
+  const { data, aliases } = normalizePatientData({ mechanicalSupport: 'None', iabp: true, diabetes: 'No', diabetesControl: 'Insulin' });
+  assert.equal(data.mechanicalSupport, 'IABP');
+  assert.equal(data.diabetes, 'Yes, Insulin');
+  assert.deepEqual(aliases.map(alias => alias.from), ['iabp', 'diabetesControl']);
+});
+
+test('a negative alias does not clear a stated value', () => {
+  const { data } = normalizePatientData({ leftMainStenosis: true, leftMainDisease: 'no' });
+  assert.equal(data.leftMainStenosis, true);
+});
+
+test('an alias fills an absent field', () => {
+  const { data, aliases } = normalizePatientData({ sex: 'F', numDiseasedVessels: 'Three' });
+  assert.equal(data.gender, 'Female');
+  assert.equal(data.numberOfDiseasedVessels, 'Three');
+  assert.deepEqual(aliases, [{ from: 'sex', to: 'gender' }, { from: 'numDiseasedVessels', to: 'numberOfDiseasedVessels' }]);
+});
+
+test('canonicalField', () => {
+  assert.equal(canonicalField('lvef'), 'ejectionFraction');
+  assert.equal(canonicalField('ejectionFraction'), 'ejectionFraction');
+});
@@ -0,0 +1,101 @@
+/**
+ * Rule-based extraction: lexicon matching, negation scope and the fields
+ * the cross-check and offline mode depend on. Fixed notes, no LLM.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractWithRules: extract, crossCheckExtraction } = require('../utils/stsRuleExtractor');
+
+test('sentence-initial capitals do not defeat lexicon phrases', () => {
+  assert.equal(extract('On HD three times a week.').data.dialysis, true);
+  assert.equal(extract('Emergency CABG for cardiogenic shock.').data.priority, 'Emergent');
+});
+
+test('capitalised abbreviations still match exactly', () => {
+  const result = extract('Mr. Smith, 2+ MR, as above.');
+  assert.equal(result.data.gender, 'Male');
+  assert.equal(result.data.mitralRegurgitation, 'Moderate');
+  assert.equal(result.data.aorticStenosis, undefined);
+});
+
+test('a negation cue does not reach past a verb or conjunction', () => {
+  const result = extract('Patient with no known allergies has been on dialysis for 3 years');
+  assert.equal(result.data.dialysis, true);
+  assert.equal(result.reasons.dialysis, 'explicitly stated');
+});
+
+test('adjacent negations are stated, distant ones inferred', () => {
+  const adjacent = extract('No dialysis.');
+  assert.equal(adjacent.data.dialysis, false);
+  assert.equal(adjacent.reasons.dialysis, 'explicitly stated');
+  assert.equal(extract('Dialysis: no').data.dialysis, false);
+  assert.equal(extract('has not been on dialysis').data.dialysis, false);
+
+  const distant = extract('Denies any prior history of renal failure or dialysis');
+  assert.equal(distant.data.dialysis, false);
+  assert.equal(distant.reasons.dialysis, 'inferred');
+});
+
+test('planned procedure type, not previous operations', () => {
+  assert.equal(extract('72 yo male for AVR. Severe aortic stenosis, EF 55%.').data.procedureType, 'Isolated AVR');
+  assert.equal(extract('70M, planned AVR + CABG.').data.procedureType, 'AVR + CABG');
+  assert.equal(extract('65M scheduled for mitral valve repair and CABG x3').data.procedureType, 'MV Repair + CABG');
+
+  const redo = extract('68F presenting for urgent CABG. No prior CABG. s/p AVR in 2012.');
+  assert.equal(redo.data.procedureType, 'Isolated CABG');
+  assert.equal(redo.data.previousCABG, false);
+  assert.equal(redo.data.previousValve, true);
+
+  assert.equal(extract('80M s/p CABG (2005), now for TAVR evaluation.').data.procedureType, undefined);
+});
+
+test('left main: percentage, bare mention in disease context, negation', () => {
+  assert.equal(extract('70% left main stenosis').data.leftMainStenosis, true);
+  assert.equal(extract('LM 30% stenosis, 3 vessel disease').data.leftMainStenosis, false);
+
+  const bare = extract('three vessel disease with left main');
+  assert.equal(bare.data.leftMainStenosis, true);
+  assert.equal(bare.reasons.leftMainStenosis, 'inferred');
+  assert.equal(extract('three vessel disease without left main involvement').data.leftMainStenosis, false);
+  assert.equal(extract('Seen in LM clinic. Plan for follow up.').data.leftMainStenosis, undefined);
+});
+
+test('full note', () => {
+  const notes = '72M with 3-vessel CAD and 70% left main stenosis, presenting for urgent CABG. NSTEMI 3 days ago.\n' +
+    'PMH: DM2 on metformin and insulin glargine, HTN, ESRD on HD. No prior CABG. s/p PCI with stent to the LAD in 2015.\n' +
+    'Echo: LVEF 35-40%, moderate MR, trace TR. Cr 1.8 mg/dL, Hct 32%. NYHA class III. Height 5\'10", weight 180 lbs.';
+  const result = extract(notes);
+
+  assert.deepEqual(result.data, {
+    age: 72,
+    gender: 'Male',
+    height: '5\'10"',
+    weight: '180 lbs',
+    ejectionFraction: 37.5,
+    creatinine: 1.8,
+    hematocrit: 32,
+    dialysis: true,
+    diabetes: 'Yes, Insulin',
+    nyhaClass: 'Class III',
+    miTiming: '1 to 7 Days',
+    numberOfDiseasedVessels: 'Three',
+    leftMainStenosis: true,
+    procedureType: 'Isolated CABG',
+    previousCABG: false,
+    previousPCI: true,
+    priority: 'Urgent',
+    mitralRegurgitation: 'Moderate',
+    tricuspidRegurgitation: 'Trivial/Trace'
+  });
+  assert.equal(result.reasons.ejectionFraction, 'inferred');
+  assert.equal(result.evidence.creatinine.quote, notes.slice(result.evidence.creatinine.start, result.evidence.creatinine.end));
+});
+
+test('cross-check compares normalized values', () => {
+  const rules = extract('Height 70 in. On HD.');
+  const check = crossCheckExtraction({ height: 177.8, dialysis: false }, rules);
+  assert.equal(check.compared, 2);
+  assert.equal(check.agreed, 1);
+  assert.deepEqual(check.disagreements.map(item => item.field), ['dialysis']);
+});
@@ -0,0 +1,97 @@
+/**
+ * Minimal CSV reader/writer (RFC 4180)
+ * Comma-separated, double-quoted fields may contain commas, quotes ("") and
+ * line breaks. Enough for spreadsheet exports; no dependency needed.
+ */
+
+/**
+ * Split CSV text into rows of cells
+ * @param {string} text - CSV text (a leading byte-order mark is ignored)
+ * @returns {Array} [[cell, ...], ...] - blank lines are skipped
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error('unterminated quoted field');
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV with a header row into one object per line
+ * Empty cells are left out of the record.
+ * @returns {Object} { headers, records }
+ */
+function parseCSV(text) {
+  const [headerRow, ...rows] = parseRows(text);
+  if (!headerRow) return { headers: [], records: [] };
+  const headers = headerRow.map(header => header.trim());
+
+  const records = rows.map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      const value = (cells[index] || '').trim();
+      if (header && value !== '') record[header] = value;
+    });
+    return record;
+  });
+  return { headers, records };
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise records as CSV
+ * @param {Array} records - Objects to write, one per line
+ * @param {Array} columns - Keys to write, in order (also the header row)
+ */
+function toCSV(records, columns) {
+  const lines = [columns.map(formatCell).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(column => formatCell(record[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCSV,
+  toCSV
+};
@@ -0,0 +1,125 @@
+/**
+ * Derived Patient Variables
+ * Computes variables the notes rarely state directly from the ones they do,
+ * after normalization (canonical units: cm, kg, mg/dL):
+ *
+ * - BMI (kg/m²)                    = weight / height²
+ * - BSA (m², Mosteller)            = √(height × weight / 3600)
+ * - Creatinine clearance (mL/min)  = Cockcroft-Gault: (140 - age) × weight / (72 × Cr) × 0.85 if female
+ * - eGFR (mL/min/1.73m²)           = CKD-EPI 2021 (race-free):
+ *                                    142 × min(Cr/κ, 1)^α × max(Cr/κ, 1)^-1.200 × 0.9938^age × 1.012 if female
+ *                                    κ = 0.7 (F) / 0.9 (M), α = -0.241 (F) / -0.302 (M)
+ *
+ * A value already present in the data is never overwritten.
+ */
+
+const DERIVATIONS = [
+  {
+    field: 'bmi',
+    label: 'BMI',
+    unit: 'kg/m²',
+    decimals: 1,
+    inputs: ['height', 'weight'],
+    compute: data => {
+      const meters = data.height / 100;
+      return {
+        value: data.weight / (meters * meters),
+        calculation: `${data.weight} / (${meters})²`
+      };
+    }
+  },
+  {
+    field: 'bsa',
+    label: 'BSA (Mosteller)',
+    unit: 'm²',
+    decimals: 2,
+    inputs: ['height', 'weight'],
+    compute: data => ({
+      value: Math.sqrt(data.height * data.weight / 3600),
+      calculation: `√(${data.height} × ${data.weight} / 3600)`
+    })
+  },
+  {
+    field: 'creatinineClearance',
+    label: 'Creatinine Clearance (Cockcroft-Gault)',
+    unit: 'mL/min',
+    decimals: 1,
+    inputs: ['age', 'weight', 'creatinine', 'gender'],
+    compute: data => {
+      const female = data.gender === 'Female';
+      const value = (140 - data.age) * data.weight / (72 * data.creatinine) * (female ? 0.85 : 1);
+      return {
+        value: value,
+        calculation: `(140 - ${data.age}) × ${data.weight} / (72 × ${data.creatinine})${female ? ' × 0.85' : ''}`
+      };
+    }
+  },
+  {
+    field: 'egfr',
+    label: 'eGFR (CKD-EPI 2021)',
+    unit: 'mL/min/1.73m²',
+    decimals: 0,
+    inputs: ['age', 'creatinine', 'gender'],
+    compute: data => {
+      const female = data.gender === 'Female';
+      const kappa = female ? 0.7 : 0.9;
+      const alpha = female ? -0.241 : -0.302;
+      const ratio = data.creatinine / kappa;
+      const value = 142 *
+        Math.pow(Math.min(ratio, 1), alpha) *
+        Math.pow(Math.max(ratio, 1), -1.200) *
+        Math.pow(0.9938, data.age) *
+        (female ? 1.012 : 1);
+      return {
+        value: value,
+        calculation: `142 × min(${data.creatinine}/${kappa}, 1)^${alpha} × max(${data.creatinine}/${kappa}, 1)^-1.200 × 0.9938^${data.age}${female ? ' × 1.012' : ''}`
+      };
+    }
+  }
+];
+
+/**
+ * Add the derived variables that are missing and computable
+ * @param {Object} data - Normalized patient data (modified in place)
+ * @returns {Array} [{ field, label, value, unit, calculation, inputs }] for each derived value
+ */
+function deriveVariables(data) {
+  const derived = [];
+
+  DERIVATIONS.forEach(derivation => {
+    if (data[derivation.field] !== undefined && data[derivation.field] !== null) return;
+    if (derivation.inputs.some(input => data[input] === undefined || data[input] === null)) return;
+
+    const result = derivation.compute(data);
+    if (!isFinite(result.value) || result.value <= 0) return;
+
+    const scale = Math.pow(10, derivation.decimals);
+    const value = Math.round(result.value * scale) / scale;
+
+    data[derivation.field] = value;
+    derived.push({
+      field: derivation.field,
+      label: derivation.label,
+      value: value,
+      unit: derivation.unit,
+      calculation: result.calculation,
+      inputs: derivation.inputs
+    });
+  });
+
+  return derived;
+}
+
+/**
+ * Derived fields computed from a field (e.g. creatinine → creatinineClearance, egfr)
+ * @param {string} field - Canonical input field
+ * @returns {Array} Derived field names
+ */
+function dependentFields(field) {
+  return DERIVATIONS.filter(derivation => derivation.inputs.includes(field)).map(derivation => derivation.field);
+}
+
+module.exports = {
+  deriveVariables,
+  dependentFields
+};
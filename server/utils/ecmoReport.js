@@ -0,0 +1,217 @@
+/**
+ * ECMO-SVC Report Builders
+ * Prompts for the two LLM stages of /api/ecmo-score (finding extraction and
+ * commentary) and the markdown report around the deterministic score from
+ * utils/ecmoScore.js. No LLM calls here.
+ */
+
+const { ECMO_DOMAINS, ECMO_TIMING } = require('./ecmoScore');
+
+/**
+ * Stage 1 prompt: grade each domain from the note, with a supporting quote
+ * @param {Object} note - { history, exam, notes (optional additional information) }
+ */
+function buildFindingsExtractionPrompt({ history, exam, notes }) {
+  const domains = ECMO_DOMAINS.map(domain => {
+    const levels = domain.levels.map(level => `    - "${level.id}": ${level.description}`).join('\n');
+    return `- "${domain.id}" (${domain.label}):\n${levels}`;
+  }).join('\n');
+  const schema = ECMO_DOMAINS.map(domain =>
+    `  "${domain.id}": { "level": ${domain.levels.map(level => `"${level.id}"`).join(' | ')} | null, "evidence": "exact quote from the note" | null }`
+  ).join(',\n');
+
+  return `Extract the ECMO-SVC findings from this admission note. Return ONLY valid JSON.
+
+Grade each domain with exactly one of its levels:
+${domains}
+
+{
+${schema}
+}
+
+Rules:
+- Use null for a domain the note does not document; do not guess
+- "evidence" is the shortest exact quote from the note that supports the level
+- Do not calculate a score or recommend timing
+
+History:
+${history}
+
+Physical Exam:
+${exam}
+${notes ? `\nAdditional Information:\n${notes}\n` : ''}
+Return ONLY the JSON object.`;
+}
+
+/**
+ * Markdown for the deterministic score: domain table, total, timing and the step trail
+ * @param {Object} ecmoResult - calculateECMOScore() result
+ */
+function buildScoreMarkdown(ecmoResult) {
+  if (ecmoResult.blocked) {
+    return `### ⛔ ECMO-SVC SCORE NOT CALCULATED\n\n${ecmoResult.validation.errors.map(issue => `- ${issue.message}`).join('\n')}\n`;
+  }
+
+  let output = `### 🫀 ECMO-SVC SCORE\n\n`;
+  output += `**Score:** ${ecmoResult.totalScore} / ${ecmoResult.maxScore}  \n`;
+  output += `**ECMO Timing:** ${ecmoResult.timing.label} - ${ecmoResult.timing.description}  \n`;
+  if (ecmoResult.timing.override) {
+    output += `**Timing raised by override:** ${ecmoResult.timing.override.description}  \n`;
+  }
+  output += `**Model:** ${ecmoResult.model.id}@${ecmoResult.modelVersion} (deterministic)\n\n`;
+
+  output += `| Domain | Finding | Points | Evidence |\n|---|---|---|---|\n`;
+  ecmoResult.domains.forEach(domain => {
+    const finding = domain.documented ? `${domain.levelLabel} - ${domain.description}` : '*Not documented*';
+    output += `| **${domain.label}** | ${finding} | ${domain.points} / ${domain.maxPoints} | ${domain.evidence ? `"${domain.evidence}"` : '-'} |\n`;
+  });
+  if (ecmoResult.missingDomains.length > 0) {
+    output += `\n⚠️ **Not documented (scored 0):** ${ecmoResult.missingDomains.join(', ')} - the score may underestimate the need for ECMO.\n`;
+  }
+
+  output += `\n**Timing thresholds:** ${ECMO_TIMING.map(timing => `${timing.label} ≥ ${timing.minScore}`).join(', ')}\n\n`;
+  output += `#### Step-by-Step Calculation\n\n| Step | Item | Value | Points | Calculation | Result |\n|---|---|---|---|---|---|\n`;
+  ecmoResult.detailedSteps.forEach((step, index) => {
+    output += `| ${index + 1} | **${step.variable}** | ${step.value} | ${step.coefficient} | ${step.calculation || '-'} | **${step.contribution}** |\n`;
+  });
+  return output;
+}
+
+/**
+ * Stage 2 prompt: clinical commentary on a score that is already fixed
+ * @param {Object} ecmoResult - calculateECMOScore() result
+ * @param {Object} context - { history, exam } or { notes } shown to the model
+ */
+function buildCommentaryPrompt(ecmoResult, context) {
+  const findings = ecmoResult.domains.map(domain =>
+    `- ${domain.label}: ${domain.documented ? `${domain.levelLabel} (${domain.points} pts)${domain.evidence ? ` - "${domain.evidence}"` : ''}` : 'not documented (0 pts)'}`
+  ).join('\n');
+  const clinical = [
+    context.history ? `History:\n${context.history}` : '',
+    context.exam ? `Physical Exam:\n${context.exam}` : '',
+    context.notes ? `Additional Notes:\n${context.notes}` : ''
+  ].filter(Boolean).join('\n\n');
+
+  return `You are a clinical assistant reviewing an ECMO timing assessment for thoracic surgery in SVC syndrome.
+
+The ECMO-SVC score below was calculated deterministically from the graded findings. Do NOT recalculate, restate differently or change the score or the timing category.
+
+**Findings:**
+${findings}
+
+**ECMO-SVC Score:** ${ecmoResult.totalScore} / ${ecmoResult.maxScore}
+**Timing:** ${ecmoResult.timing.label} - ${ecmoResult.timing.description}${ecmoResult.timing.override ? ` (raised by override: ${ecmoResult.timing.override.description})` : ''}
+${ecmoResult.missingDomains.length > 0 ? `**Not documented (scored 0):** ${ecmoResult.missingDomains.join(', ')}\n` : ''}
+${clinical || 'No free-text clinical notes were provided.'}
+
+Provide, in markdown:
+
+### CLINICAL INTERPRETATION
+- What the score and timing mean for this patient
+
+### FINDINGS TO REVIEW
+- Any domain whose grade the notes may not support, or undocumented domains worth assessing (name the domain and why); say "None" if the grading is consistent
+
+### PERIOPERATIVE CONSIDERATIONS
+- Anaesthetic induction, cannulation site and airway planning relevant to this timing`;
+}
+
+/**
+ * Full markdown report: the score, then the commentary (or why it is missing)
+ * @param {Object} ecmoResult - calculateECMOScore() result
+ * @param {string|null} commentary - Stage 2 output
+ * @param {string|null} commentaryError - Why there is no commentary
+ */
+function buildECMOReport(ecmoResult, commentary, commentaryError = null) {
+  let report = `# ECMO-SVC ASSESSMENT\n\n${buildScoreMarkdown(ecmoResult)}\n---\n\n## 🤖 Clinical Commentary\n\n`;
+  report += commentary || `*AI commentary unavailable${commentaryError ? ` (${commentaryError})` : ''}. The score and timing above do not depend on it.*`;
+  report += `\n\n---\n\n**Source:** ${ecmoResult.model.source}\n\n**Medical Disclaimer:** This score is a decision-support tool and does not replace clinical judgment.`;
+  return report;
+}
+
+/**
+ * Why the score led to this timing, from the result alone (no LLM)
+ */
+function buildRationale(ecmoResult) {
+  const { timing } = ecmoResult;
+  const sentences = [`Score ${ecmoResult.totalScore} of ${ecmoResult.maxScore} is in the ${timing.scoreTiming} range (${timing.scoreRange}).`];
+  if (timing.override) {
+    sentences.push(`Timing raised to ${timing.label}: ${timing.override.description}.`);
+  }
+  const contributors = ecmoResult.domains
+    .filter(domain => domain.points > 0)
+    .sort((a, b) => b.points - a.points)
+    .map(domain => `${domain.label} ${domain.levelLabel} (${domain.points})`);
+  if (contributors.length > 0) {
+    sentences.push(`Points from: ${contributors.join(', ')}.`);
+  }
+  if (ecmoResult.missingDomains.length > 0) {
+    sentences.push(`Not documented and scored 0: ${ecmoResult.missingDomains.join(', ')}.`);
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * JSON body of /api/ecmo-score
+ *
+ * {
+ *   model: { id, version, source, effectiveDate }, method: 'deterministic',
+ *   domains: [{ id, label, finding: { level, label, description } | null,
+ *               points, maxPoints, evidence }],
+ *   totalScore, maxScore,
+ *   timing: { category, label, description, scoreTiming, scoreRange, basis, override },
+ *   rationale, evidence: [{ domain, text }], missingDomains, confidence,
+ *   steps, warnings, commentary, commentaryError,
+ *   narrative   // markdown report, omitted when not requested
+ * }
+ * @param {Object} ecmoResult - calculateECMOScore() result (not blocked)
+ * @param {Object} options - { commentary, commentaryError, narrative: false omits the markdown }
+ */
+function buildECMOResponse(ecmoResult, { commentary = null, commentaryError = null, narrative = true } = {}) {
+  const { timing } = ecmoResult;
+  const body = {
+    model: ecmoResult.model,
+    method: ecmoResult.method,
+    domains: ecmoResult.domains.map(domain => ({
+      id: domain.id,
+      label: domain.label,
+      finding: domain.documented ? { level: domain.level, label: domain.levelLabel, description: domain.description } : null,
+      points: domain.points,
+      maxPoints: domain.maxPoints,
+      evidence: domain.evidence
+    })),
+    totalScore: ecmoResult.totalScore,
+    maxScore: ecmoResult.maxScore,
+    timing: {
+      category: timing.id,
+      label: timing.label,
+      description: timing.description,
+      scoreTiming: timing.scoreTiming,
+      scoreRange: timing.scoreRange,
+      basis: timing.basis,
+      override: timing.override
+    },
+    rationale: buildRationale(ecmoResult),
+    evidence: ecmoResult.domains
+      .filter(domain => domain.evidence)
+      .map(domain => ({ domain: domain.id, text: domain.evidence })),
+    missingDomains: ecmoResult.missingDomains,
+    confidence: ecmoResult.confidence,
+    steps: ecmoResult.detailedSteps,
+    warnings: ecmoResult.validation.warnings,
+    commentary,
+    commentaryError
+  };
+  if (narrative) {
+    body.narrative = buildECMOReport(ecmoResult, commentary, commentaryError);
+  }
+  return body;
+}
+
+module.exports = {
+  buildECMOResponse,
+  buildFindingsExtractionPrompt,
+  buildCommentaryPrompt,
+  buildScoreMarkdown,
+  buildECMOReport
+};
@@ -0,0 +1,259 @@
+/**
+ * ECMO-SVC Score - Deterministic Scoring Engine
+ * Scores ECMO timing for thoracic surgery in SVC syndrome from four domains
+ * (symptom severity, vascular congestion, anatomic compression, hemodynamic
+ * status). Point values, timing thresholds and overrides live in
+ * data/models/ecmo/ecmo-svc.json; the same findings always give the same score.
+ *
+ * - Each domain is graded on its levels (0-3 points); the total is their sum
+ * - Timing (None / Standby / Elective / Rescue) is the highest threshold the
+ *   total reaches, raised to an override's minimum when one applies
+ *   (e.g. unstable hemodynamics → Rescue)
+ * - One undocumented domain scores 0 and is reported in `missingDomains`;
+ *   with more missing the score is blocked, since 0 for each would read as
+ *   "ECMO not indicated" without the findings to support it
+ *
+ * The LLM only extracts findings and comments on the result; it never
+ * produces the number.
+ */
+
+const path = require('path');
+
+const DEFINITION = require(path.join(__dirname, '..', 'data', 'models', 'ecmo', 'ecmo-svc.json'));
+
+// Most undocumented domains that still give a score (each scored 0)
+const MAX_MISSING_DOMAINS = 1;
+
+const MAX_SCORE = DEFINITION.domains.reduce((sum, domain) => sum + Math.max(...domain.levels.map(level => level.points)), 0);
+
+/**
+ * Domain definition for an input key (domain id or alias, any case)
+ */
+function findDomain(key) {
+  const keyLower = key.toLowerCase();
+  return DEFINITION.domains.find(domain =>
+    domain.id.toLowerCase() === keyLower || domain.aliases.includes(keyLower)) || null;
+}
+
+/**
+ * Level for a domain value: level id or label ("moderate"), text starting
+ * with one ("Severe - stridor at rest"), or its points (2 / "2")
+ * @returns {Object|null} Level definition
+ */
+function resolveLevel(domain, value) {
+  if (typeof value === 'number' || /^\s*\d+\s*$/.test(value)) {
+    return domain.levels.find(level => level.points === Number(value)) || null;
+  }
+  const text = value.toString().trim().toLowerCase();
+  return domain.levels.find(level => {
+    const names = [level.id, level.label.toLowerCase()];
+    return names.some(name => text === name || new RegExp(`^${name}\\b`).test(text));
+  }) || null;
+}
+
+/**
+ * Read the four domains from raw findings
+ * Each value is a level (see resolveLevel) or { level, evidence }.
+ * @param {Object} input - { symptomSeverity: 'moderate', hemodynamicStatus: { level: 'stable', evidence: '...' }, ... }
+ * @returns {Object} { findings: { domainId: { level, evidence } }, errors, warnings }
+ */
+function normalizeFindings(input) {
+  const findings = {};
+  const errors = [];
+  const warnings = [];
+
+  Object.entries(input || {}).forEach(([key, raw]) => {
+    const domain = findDomain(key);
+    if (!domain) {
+      warnings.push({ field: key, code: 'unknown_domain', message: `${key}: not an ECMO-SVC domain - ignored` });
+      return;
+    }
+    const value = raw && typeof raw === 'object' ? raw.level : raw;
+    const evidence = raw && typeof raw === 'object' && raw.evidence ? raw.evidence : null;
+    if (value === undefined || value === null || value === '') return;
+
+    const level = resolveLevel(domain, value);
+    if (!level) {
+      errors.push({
+        field: domain.id,
+        value,
+        code: 'invalid_level',
+        message: `${domain.label} "${value}": expected one of ${domain.levels.map(item => `${item.id} (${item.points})`).join(', ')}`
+      });
+      return;
+    }
+    findings[domain.id] = { level, evidence };
+  });
+
+  return { findings, errors, warnings };
+}
+
+/**
+ * Timing category reached by a total score
+ */
+function timingForScore(total) {
+  return DEFINITION.timing.filter(timing => total >= timing.minScore).pop();
+}
+
+function timingIndex(id) {
+  return DEFINITION.timing.findIndex(timing => timing.id === id);
+}
+
+/**
+ * Score range of a timing category, for the step trail ("7-9", "≥ 10")
+ */
+function timingRange(timing) {
+  const next = DEFINITION.timing[timingIndex(timing.id) + 1];
+  return next ? `${timing.minScore}-${next.minScore - 1}` : `≥ ${timing.minScore}`;
+}
+
+/**
+ * Calculate the ECMO-SVC score
+ * @param {Object} input - Findings per domain (see normalizeFindings)
+ * @returns {Object} { domains, totalScore, maxScore, timing, detailedSteps, missingDomains, validation, blocked }
+ */
+function calculateECMOScore(input) {
+  const { findings, errors, warnings } = normalizeFindings(input);
+
+  const results = {
+    method: 'deterministic',
+    model: {
+      id: DEFINITION.id,
+      version: DEFINITION.version,
+      source: DEFINITION.source,
+      effectiveDate: DEFINITION.effectiveDate
+    },
+    modelVersion: DEFINITION.version,
+    domains: [],
+    totalScore: null,
+    maxScore: MAX_SCORE,
+    timing: null,
+    confidence: 'high',
+    missingDomains: [],
+    detailedSteps: [],
+    validation: { errors, warnings },
+    blocked: false
+  };
+
+  // A finding that matches no level blocks the score rather than count as 0
+  if (errors.length > 0) {
+    results.blocked = true;
+    results.confidence = 'blocked';
+    return results;
+  }
+
+  const undocumented = DEFINITION.domains.filter(domain => !findings[domain.id]);
+  if (undocumented.length > MAX_MISSING_DOMAINS) {
+    errors.push({
+      field: 'findings',
+      value: undocumented.map(domain => domain.id),
+      code: 'insufficient_findings',
+      message: `${undocumented.length} of ${DEFINITION.domains.length} domains not documented (${undocumented.map(domain => domain.label).join(', ')}) - grade at least ${DEFINITION.domains.length - MAX_MISSING_DOMAINS} domains; they are not scored 0`
+    });
+    results.missingDomains = undocumented.map(domain => domain.label);
+    results.blocked = true;
+    results.confidence = 'blocked';
+    return results;
+  }
+
+  let total = 0;
+  DEFINITION.domains.forEach(domain => {
+    const finding = findings[domain.id];
+    const maxPoints = Math.max(...domain.levels.map(level => level.points));
+
+    if (!finding) {
+      results.missingDomains.push(domain.label);
+      results.domains.push({ id: domain.id, label: domain.label, level: null, levelLabel: null, points: 0, maxPoints, description: 'Not documented - scored 0', evidence: null, documented: false });
+      results.detailedSteps.push({
+        variable: domain.label,
+        value: 'Not documented',
+        coefficient: 0,
+        calculation: `Not documented = 0 of ${maxPoints} points`,
+        contribution: 0,
+        description: 'No finding for this domain - scored as the lowest level'
+      });
+      return;
+    }
+
+    const { level, evidence } = finding;
+    total += level.points;
+    results.domains.push({ id: domain.id, label: domain.label, level: level.id, levelLabel: level.label, points: level.points, maxPoints, description: level.description, evidence, documented: true });
+    results.detailedSteps.push({
+      variable: domain.label,
+      value: level.label,
+      coefficient: level.points,
+      calculation: `${level.label} = ${level.points} of ${maxPoints} points`,
+      contribution: level.points,
+      description: level.description
+    });
+  });
+
+  results.detailedSteps.push({
+    variable: 'TOTAL SCORE',
+    value: 'Sum of all domains',
+    coefficient: '-',
+    contribution: `${total} / ${MAX_SCORE}`,
+    description: 'Sum of the four domain scores'
+  });
+
+  const byScore = timingForScore(total);
+  results.detailedSteps.push({
+    variable: 'TIMING THRESHOLD',
+    value: `Score ${total}`,
+    coefficient: '-',
+    calculation: `Score ${timingRange(byScore)} → ${byScore.label}`,
+    contribution: byScore.label,
+    description: byScore.description
+  });
+
+  let timing = byScore;
+  let override = null;
+  DEFINITION.overrides.forEach(rule => {
+    const finding = findings[rule.domain];
+    if (!finding || finding.level.id !== rule.level) return;
+    const minimum = DEFINITION.timing[timingIndex(rule.minimumTiming)];
+    const domain = DEFINITION.domains.find(item => item.id === rule.domain);
+    results.detailedSteps.push({
+      variable: `Override: ${domain.label}`,
+      value: finding.level.label,
+      coefficient: '-',
+      calculation: `Minimum timing ${minimum.label}${timingIndex(minimum.id) > timingIndex(timing.id) ? ` (raised from ${timing.label})` : ' (already met)'}`,
+      contribution: timingIndex(minimum.id) > timingIndex(timing.id) ? minimum.label : '-',
+      description: rule.description
+    });
+    if (timingIndex(minimum.id) > timingIndex(timing.id)) {
+      timing = minimum;
+      override = { domain: rule.domain, level: rule.level, description: rule.description };
+    }
+  });
+
+  results.detailedSteps.push({
+    variable: 'FINAL TIMING RECOMMENDATION',
+    value: timing.label,
+    coefficient: '-',
+    contribution: timing.label,
+    description: timing.description
+  });
+
+  results.totalScore = total;
+  results.timing = {
+    id: timing.id,
+    label: timing.label,
+    description: timing.description,
+    scoreTiming: byScore.label,
+    scoreRange: timingRange(byScore),
+    basis: override ? 'override' : 'score',
+    override
+  };
+  if (results.missingDomains.length > 0) results.confidence = 'low';
+
+  return results;
+}
+
+module.exports = {
+  calculateECMOScore,
+  normalizeFindings,
+  MAX_MISSING_DOMAINS,
+  ECMO_DOMAINS: DEFINITION.domains,
+  ECMO_TIMING: DEFINITION.timing
+};
@@ -0,0 +1,133 @@
+/**
+ * EuroSCORE II Calculator - Second Surgical Risk Model
+ * Scores the same structured patient as calculateSTSRisk() with the published
+ * EuroSCORE II logistic model (data/models/euroscore/euroscore2.json), evaluated
+ * by utils/logisticModel.js so it produces the same step-by-step trail.
+ *
+ * EuroSCORE II needs a few inputs STS does not collect (poor mobility, CCS
+ * class 4 angina, surgery on the thoracic aorta, ...). Each is reported as
+ * provided, derived from STS fields (e.g. critical preoperative state from
+ * shock / inotropes / IABP) or missing. As in the published calculator, a
+ * missing risk factor is scored as absent; nothing is imputed.
+ *
+ * Reference:
+ * - Nashef SAM, et al. EuroSCORE II. Eur J Cardiothorac Surg 2012;41:734-45
+ */
+
+const path = require('path');
+const { evaluateOutcome } = require('./logisticModel');
+const { normalizePatientData } = require('./stsNormalizer');
+const { deriveVariables } = require('./derivedVariables');
+const { validatePatientData } = require('./stsValidator');
+const { readFeature, featureFields } = require('./riskFeatures');
+
+const MODEL = require(path.join(__dirname, '..', 'data', 'models', 'euroscore', 'euroscore2.json'));
+
+/**
+ * EuroSCORE II inputs with no STS equivalent. `feature` names the reader in
+ * utils/riskFeatures.js that falls back to related STS fields.
+ */
+const EUROSCORE_ONLY_INPUTS = [
+  { field: 'poorMobility', label: 'Poor mobility' },
+  { field: 'criticalPreopState', label: 'Critical preoperative state', feature: 'criticalPreopState' },
+  { field: 'extracardiacArteriopathy', label: 'Extracardiac arteriopathy', feature: 'extracardiacArteriopathy' },
+  { field: 'ccsClass4Angina', label: 'CCS class 4 angina' },
+  { field: 'miWithin90Days', label: 'MI within 90 days', feature: 'miWithin90Days' },
+  { field: 'pulmonaryArterySystolicPressure', label: 'PA systolic pressure (mmHg)', feature: 'pulmonaryPressure' },
+  { field: 'thoracicAortaSurgery', label: 'Surgery on thoracic aorta' }
+];
+
+/**
+ * Inputs shared with STS that change the score when missing
+ * (each is then scored at its lowest-risk level)
+ */
+const SHARED_INPUTS = [
+  { fields: ['age'], label: 'Age' },
+  { fields: ['gender'], label: 'Gender' },
+  { fields: ['creatinineClearance', 'dialysis'], label: 'Creatinine clearance (or dialysis)' },
+  { fields: ['ejectionFraction'], label: 'Ejection fraction' },
+  { fields: ['nyhaClass'], label: 'NYHA class' },
+  { fields: ['priority'], label: 'Urgency' },
+  { fields: ['procedureType'], label: 'Procedure type (weight of intervention)' }
+];
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Where each EuroSCORE-only input came from
+ * @returns {Array} [{ field, label, status: 'provided' | 'derived' | 'missing', value, from }]
+ */
+function describeEuroScoreInputs(data) {
+  return EUROSCORE_ONLY_INPUTS.map(input => {
+    if (hasValue(data[input.field])) {
+      return { field: input.field, label: input.label, status: 'provided', value: data[input.field], from: [] };
+    }
+    const derivedValue = input.feature ? readFeature(data, input.feature) : null;
+    if (derivedValue) {
+      const from = featureFields(input.feature).filter(field => field !== input.field && hasValue(data[field]) && data[field] !== false);
+      return { field: input.field, label: input.label, status: 'derived', value: derivedValue, from };
+    }
+    return { field: input.field, label: input.label, status: 'missing', value: null, from: [] };
+  });
+}
+
+/**
+ * Calculate the EuroSCORE II predicted mortality
+ * @param {Object} rawPatientData - Structured patient data (any supported spelling)
+ * @returns {Object} { mortality, detailedSteps, model, inputs, missingFields, validation, blocked }
+ */
+function calculateEuroScoreII(rawPatientData) {
+  const normalized = normalizePatientData(rawPatientData);
+  const patientData = normalized.data;
+  const derived = deriveVariables(patientData);
+
+  const results = {
+    method: 'mathematical',
+    mortality: null,
+    detailedSteps: [],
+    model: {
+      id: MODEL.id,
+      version: MODEL.version,
+      source: MODEL.source,
+      effectiveDate: MODEL.effectiveDate
+    },
+    modelVersion: MODEL.version,
+    inputs: describeEuroScoreInputs(patientData),
+    missingFields: SHARED_INPUTS
+      .filter(input => !input.fields.some(field => hasValue(patientData[field])))
+      .map(input => input.label),
+    validation: validatePatientData(patientData, { unmapped: normalized.unmapped, derived: derived }),
+    blocked: false
+  };
+
+  if (results.validation.errors.length > 0) {
+    results.blocked = true;
+    return results;
+  }
+
+  // Age is the one input EuroSCORE II cannot score as absent
+  if (!hasValue(patientData.age)) {
+    return results;
+  }
+
+  const calc = evaluateOutcome(MODEL.outcomes.mortality, patientData);
+  const clearance = derived.find(item => item.field === 'creatinineClearance');
+  const inputSteps = clearance && !patientData.dialysis ? [{
+    variable: `Derived: ${clearance.label}`,
+    value: `${clearance.value} ${clearance.unit}`,
+    coefficient: '-',
+    calculation: `${clearance.calculation} = ${clearance.value}`,
+    contribution: '-',
+    description: `Computed from ${clearance.inputs.join(', ')}`
+  }] : [];
+
+  results.mortality = calc.value;
+  results.detailedSteps = inputSteps.concat(calc.steps);
+  return results;
+}
+
+module.exports = {
+  calculateEuroScoreII
+};
@@ -0,0 +1,30 @@
+/**
+ * Event-Loop Yielding
+ * Scoring is synchronous, and a long loop of calculateSTSRisk() calls (a
+ * batch, a what-if sweep) would stall every other request. Loops on the
+ * server call the function returned here between items instead.
+ */
+
+// Longest stretch of work before yielding to the event loop
+const YIELD_AFTER_MS = 50;
+
+/**
+ * Yield point for a loop: resolves at once until `ms` have passed since the
+ * last yield, then after a setImmediate()
+ * @param {number} ms - Work allowed between yields
+ * @returns {Function} async () => boolean (true when it yielded)
+ */
+function createYielder(ms = YIELD_AFTER_MS) {
+  let chunkStart = Date.now();
+  return async () => {
+    if (Date.now() - chunkStart < ms) return false;
+    await new Promise(resolve => setImmediate(resolve));
+    chunkStart = Date.now();
+    return true;
+  };
+}
+
+module.exports = {
+  YIELD_AFTER_MS,
+  createYielder
+};
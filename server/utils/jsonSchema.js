@@ -0,0 +1,81 @@
+/**
+ * JSON Schema Validation
+ * Checks a value against the subset of JSON Schema (draft-07) used by the
+ * contracts in data/schemas: type (single or list), enum, minimum, maximum,
+ * properties, required and additionalProperties (false or a schema). Other
+ * keywords, and annotations such as "description" and "x-*", are ignored.
+ */
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  null: value => value === null,
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+function describe(value) {
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {string} field - Path of the value, for messages ('' for the root)
+ * @returns {Array} Issues [{ field, value, code, message }] - empty when valid
+ */
+function validateSchema(value, schema, field = '') {
+  const issues = [];
+  const label = field || 'response';
+  const issue = (code, message) => issues.push({ field: label, value, code, message: `${label}: ${message}` });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => TYPE_CHECKS[type] && TYPE_CHECKS[type](value))) {
+      issue('invalid_type', `${describe(value)} is not ${types.join(' or ')}`);
+      return issues;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+    issue('invalid_enum', `${describe(value)} is not one of ${schema.enum.map(describe).join(', ')}`);
+    return issues;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issue('below_minimum', `${value} is below the minimum ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      issue('above_maximum', `${value} is above the maximum ${schema.maximum}`);
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (!(name in value)) {
+        issues.push({ field: name, value: undefined, code: 'required', message: `${name}: required field is missing` });
+      }
+    });
+    Object.entries(value).forEach(([name, child]) => {
+      const childField = field ? `${field}.${name}` : name;
+      if (properties[name]) {
+        issues.push(...validateSchema(child, properties[name], childField));
+      } else if (TYPE_CHECKS.object(schema.additionalProperties)) {
+        issues.push(...validateSchema(child, schema.additionalProperties, childField));
+      } else if (schema.additionalProperties === false) {
+        issues.push({ field: childField, value: child, code: 'unknown_field', message: `${childField}: not a field of this schema` });
+      }
+    });
+  }
+
+  return issues;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,204 @@
+/**
+ * LLM Provider Layer
+ * Every LLM call goes through complete(stage, messages). The stage picks the
+ * provider, model, temperature and timeout from config/llm.json (or the file
+ * named by LLM_CONFIG_FILE), so notes can stay on a local model and demos can
+ * run with no network.
+ *
+ * Stages: extraction (STS fields from notes), stsAnalysis (AI comparison),
+ * ecmoExtraction (ECMO-SVC findings), ecmoCommentary.
+ *
+ * Provider types:
+ * - "openai": the OpenAI API (key from apiKeyEnv, default OPENAI_API_KEY)
+ * - "openai-compatible": a server with the OpenAI chat API at baseURL
+ *   (llama.cpp server, Ollama); the key is optional
+ * - "mock": deterministic canned responses ("{}" for JSON stages), no network
+ *
+ * Resolution for a stage: LLM_<STAGE>_PROVIDER / LLM_<STAGE>_MODEL
+ * (e.g. LLM_STS_ANALYSIS_MODEL), then LLM_PROVIDER, then the stage and default
+ * sections of the config; the model falls back to the provider's own model.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { OpenAI } = require('openai');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'llm.json');
+
+/**
+ * Pipeline stages; `json` stages must answer with a JSON object
+ */
+const STAGES = {
+  extraction: { json: true },
+  stsAnalysis: { json: false },
+  ecmoExtraction: { json: true },
+  ecmoCommentary: { json: false }
+};
+
+const PROVIDER_TYPES = ['openai', 'openai-compatible', 'mock'];
+
+let config = null;
+const providers = {};
+
+/**
+ * Read and check the LLM configuration
+ */
+function loadConfig() {
+  const file = process.env.LLM_CONFIG_FILE || DEFAULT_FILE;
+  const loaded = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!loaded.providers || !loaded.default || !loaded.default.provider) {
+    throw new Error(`LLM config ${file}: "providers" and "default.provider" are required`);
+  }
+  Object.entries(loaded.providers).forEach(([name, provider]) => {
+    if (!PROVIDER_TYPES.includes(provider.type)) {
+      throw new Error(`LLM config ${file}: provider "${name}" has type "${provider.type}" (expected ${PROVIDER_TYPES.join(', ')})`);
+    }
+  });
+  Object.keys(loaded.stages || {}).forEach(stage => {
+    if (!STAGES[stage]) {
+      throw new Error(`LLM config ${file}: unknown stage "${stage}" (expected ${Object.keys(STAGES).join(', ')})`);
+    }
+  });
+  return { ...loaded, file };
+}
+
+function getConfig() {
+  if (!config) config = loadConfig();
+  return config;
+}
+
+/**
+ * LLM_STS_ANALYSIS_MODEL for ('stsAnalysis', 'MODEL')
+ */
+function stageEnv(stage, key) {
+  return process.env[`LLM_${stage.replace(/([A-Z])/g, '_$1').toUpperCase()}_${key}`];
+}
+
+/**
+ * Provider, model, temperature and timeout for a stage
+ * @param {string} stage - One of STAGES
+ * @returns {Object} { stage, provider, type, model, temperature, timeoutMs, baseURL, json }
+ */
+function resolveStage(stage) {
+  if (!STAGES[stage]) {
+    throw new Error(`Unknown LLM stage "${stage}"`);
+  }
+  const loaded = getConfig();
+  const settings = { ...loaded.default, ...((loaded.stages || {})[stage] || {}) };
+  const providerName = stageEnv(stage, 'PROVIDER') || process.env.LLM_PROVIDER || settings.provider;
+  const provider = loaded.providers[providerName];
+  if (!provider) {
+    throw new Error(`LLM stage ${stage}: provider "${providerName}" is not configured in ${loaded.file}`);
+  }
+
+  // A stage model pinned in the config belongs to the configured provider
+  const stageModel = providerName === settings.provider ? settings.model : undefined;
+  return {
+    stage,
+    provider: providerName,
+    type: provider.type,
+    model: stageEnv(stage, 'MODEL') || stageModel || (provider.modelEnv && process.env[provider.modelEnv]) || provider.model,
+    temperature: settings.temperature,
+    timeoutMs: settings.timeoutMs,
+    baseURL: (provider.baseURLEnv && process.env[provider.baseURLEnv]) || provider.baseURL,
+    json: STAGES[stage].json
+  };
+}
+
+/**
+ * Adapter for the OpenAI API and OpenAI-compatible servers; the client is
+ * created on first use so a missing key only fails the calls that need it
+ */
+function createOpenAIProvider(settings, baseURL) {
+  let client = null;
+  return {
+    async complete(messages, resolved) {
+      if (!client) {
+        const apiKey = process.env[settings.apiKeyEnv || 'OPENAI_API_KEY'];
+        client = new OpenAI({
+          apiKey: apiKey || (settings.type === 'openai-compatible' ? 'not-needed' : undefined),
+          baseURL: baseURL || undefined
+        });
+      }
+      const completion = await client.chat.completions.create({
+        model: resolved.model,
+        messages,
+        temperature: resolved.temperature
+      }, { timeout: resolved.timeoutMs });
+      return completion.choices[0].message.content;
+    }
+  };
+}
+
+/**
+ * Deterministic adapter: `responses[stage]` from the provider config, else
+ * "{}" for JSON stages and a fixed note for text stages
+ */
+function createMockProvider(settings) {
+  return {
+    async complete(messages, resolved) {
+      const configured = (settings.responses || {})[resolved.stage];
+      if (configured !== undefined) {
+        return typeof configured === 'string' ? configured : JSON.stringify(configured);
+      }
+      return resolved.json ? '{}' : `*Mock LLM response for stage "${resolved.stage}" - no model was called.*`;
+    }
+  };
+}
+
+function getProvider(resolved) {
+  const key = `${resolved.provider}|${resolved.baseURL || ''}`;
+  if (!providers[key]) {
+    const settings = getConfig().providers[resolved.provider];
+    providers[key] = settings.type === 'mock'
+      ? createMockProvider(settings)
+      : createOpenAIProvider(settings, resolved.baseURL);
+  }
+  return providers[key];
+}
+
+/**
+ * Run one chat completion for a pipeline stage
+ * @param {string} stage - One of STAGES
+ * @param {Array} messages - Chat messages [{ role, content }]
+ * @returns {Promise<string>} Response text
+ */
+async function complete(stage, messages) {
+  const resolved = resolveStage(stage);
+  return getProvider(resolved).complete(messages, resolved);
+}
+
+/**
+ * Parse a JSON answer, tolerating markdown code fences around it
+ * @param {string} text - Response text
+ * @returns {Object} Parsed JSON
+ */
+function parseJSONResponse(text) {
+  return JSON.parse(text.trim().replace(/```json\n?/g, '').replace(/```\n?/g, ''));
+}
+
+/**
+ * Run a JSON stage and parse the answer
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function completeJSON(stage, messages) {
+  return parseJSONResponse(await complete(stage, messages));
+}
+
+/**
+ * "openai/gpt-4o" for reports and logs
+ */
+function describeStage(stage) {
+  const resolved = resolveStage(stage);
+  return `${resolved.provider}/${resolved.model}`;
+}
+
+module.exports = {
+  STAGES,
+  complete,
+  completeJSON,
+  parseJSONResponse,
+  resolveStage,
+  describeStage
+};
@@ -0,0 +1,208 @@
+/**
+ * Generic Logistic Regression Engine
+ * Evaluates one outcome definition from data/models/ against patient data and
+ * produces the step-by-step trail that formatDetailedCalculation() in
+ * routes/sts.js renders (Baseline Intercept, one step per risk factor, then
+ * TOTAL LOGIT / LOGISTIC TRANSFORMATION / FINAL).
+ *
+ * Outcome definition:
+ * {
+ *   "intercept": -6.0,
+ *   "interceptDescription": "Starting point for CABG risk model",
+ *   "result": { "label": "FINAL MORTALITY RISK", "description": "...", "decimals": 2 },
+ *   "notApplicable": { "feature": "dialysis", "step": { ... } },   // optional
+ *   "terms": [ ... ]
+ * }
+ *
+ * Term definition (a term with "levels" uses the first level that matches;
+ * each level inherits the term's fields and may override any of them):
+ * {
+ *   "variable": "Ejection Fraction",
+ *   "feature": "ejectionFraction",          // see utils/riskFeatures.js
+ *   "value": "{value}%",                    // {value} = feature, {field|fallback} = raw data
+ *   "levels": [
+ *     { "lt": 30, "coefficient": 0.8, "description": "Severe LV dysfunction (EF < 30%)" },
+ *     { "lt": 40, "coefficient": 0.4, "description": "Moderate LV dysfunction (EF 30-40%)" }
+ *   ]
+ * }
+ * Uncertainty: "interceptSE" on the outcome and "se" on a term/level (filled in
+ * by the registry from the file's defaults) give the logit variance
+ * interceptSE² + Σ (se × x)², x = 1 for an indicator, (value - ref) per unit.
+ *
+ * Conditions: "equals" (value or list), "gt", "gte", "lt", "lte". A level with
+ * "perUnitAbove": 60 contributes (value - 60) × coefficient when value > 60.
+ * A feature that is missing/false never matches; a term without a feature
+ * always applies.
+ */
+
+const { readFeature, featureFields } = require('./riskFeatures');
+
+/**
+ * Evaluate an outcome definition
+ * @param {Object} outcomeDef - Outcome definition (see above)
+ * @param {Object} data - Structured patient data
+ * @returns {Object} { value, logit, variance, steps } - value is the percent string or 'NA'
+ */
+function evaluateOutcome(outcomeDef, data) {
+  const notApplicable = outcomeDef.notApplicable;
+  if (notApplicable && readFeature(data, notApplicable.feature)) {
+    return {
+      value: 'NA',
+      logit: null,
+      variance: null,
+      steps: [{ ...notApplicable.step }]
+    };
+  }
+
+  let logit = outcomeDef.intercept;
+  let variance = Math.pow(outcomeDef.interceptSE || 0, 2);
+  const steps = [{
+    variable: 'Baseline Intercept',
+    value: 'N/A',
+    coefficient: outcomeDef.intercept,
+    contribution: outcomeDef.intercept,
+    description: outcomeDef.interceptDescription
+  }];
+
+  outcomeDef.terms.forEach(term => {
+    const applied = applyTerm(term, data);
+    if (applied) {
+      logit += applied.contribution;
+      variance += Math.pow(applied.se, 2);
+      steps.push(applied.step);
+    }
+  });
+
+  const result = outcomeDef.result;
+  const decimals = result.decimals !== undefined ? result.decimals : 2;
+
+  steps.push({
+    variable: 'TOTAL LOGIT',
+    value: 'Sum of all contributions',
+    coefficient: '-',
+    contribution: logit.toFixed(3),
+    description: 'Sum of intercept and all risk factors'
+  });
+
+  const probability = 1 / (1 + Math.exp(-logit));
+  const percent = (probability * 100).toFixed(decimals);
+
+  steps.push({
+    variable: 'LOGISTIC TRANSFORMATION',
+    value: `1 / (1 + e^(${logit.toFixed(3)}))`,
+    coefficient: '-',
+    calculation: `1 / (1 + ${Math.exp(-logit).toFixed(6)})`,
+    contribution: probability.toFixed(6),
+    description: 'Convert logit to probability'
+  });
+
+  steps.push({
+    variable: result.label,
+    value: percent + '%',
+    coefficient: '-',
+    calculation: `${probability.toFixed(6)} × 100`,
+    contribution: percent + '%',
+    description: result.description
+  });
+
+  return {
+    value: percent,
+    logit: logit,
+    variance: variance,
+    steps: steps
+  };
+}
+
+/**
+ * Find the first matching level of a term and build its step
+ * @returns {Object|null} { contribution, se, step } or null when the term does not apply
+ */
+function applyTerm(term, data) {
+  const { levels, ...base } = term;
+  const candidates = levels ? levels.map(level => ({ ...base, ...level })) : [base];
+
+  for (const level of candidates) {
+    const featureValue = level.feature ? readFeature(data, level.feature) : true;
+    if (!featureValue || !matchesLevel(featureValue, level)) continue;
+
+    const step = {
+      variable: level.variable,
+      value: renderValue(level.value, featureValue, data),
+      coefficient: level.coefficient
+    };
+
+    let contribution;
+    let se = level.se || 0;
+    if (level.perUnitAbove !== undefined) {
+      contribution = (featureValue - level.perUnitAbove) * level.coefficient;
+      se *= featureValue - level.perUnitAbove;
+      step.calculation = `(${featureValue} - ${level.perUnitAbove}) × ${level.coefficient}`;
+      step.contribution = contribution.toFixed(3);
+    } else {
+      contribution = level.coefficient;
+      if (level.calculation) step.calculation = level.calculation;
+      step.contribution = level.contribution !== undefined ? level.contribution : level.coefficient;
+    }
+    step.description = level.description;
+
+    return { contribution, se, step };
+  }
+
+  return null;
+}
+
+function matchesLevel(value, level) {
+  if (level.equals !== undefined && ![].concat(level.equals).includes(value)) return false;
+  if (level.gt !== undefined && !(value > level.gt)) return false;
+  if (level.gte !== undefined && !(value >= level.gte)) return false;
+  if (level.lt !== undefined && !(value < level.lt)) return false;
+  if (level.lte !== undefined && !(value <= level.lte)) return false;
+  if (level.perUnitAbove !== undefined && !(value > level.perUnitAbove)) return false;
+  return true;
+}
+
+/**
+ * Render a step's display value: "{value}" is the feature value,
+ * "{field}" / "{field|fallback}" read raw patient data
+ */
+function renderValue(template, featureValue, data) {
+  if (template === undefined) return 'Yes';
+  return template.replace(/\{(\w+)(?:\|([^}]*))?\}/g, (match, field, fallback) => {
+    const raw = field === 'value' ? featureValue : data[field];
+    if (raw === undefined || raw === null || raw === '' || raw === false) {
+      return fallback !== undefined ? fallback : '';
+    }
+    return String(raw);
+  });
+}
+
+/**
+ * Patient fields an outcome definition reads (features, the fields behind
+ * them and value-template fields)
+ * @param {Object} outcomeDef - Outcome definition
+ * @returns {Set<string>} Field / feature names
+ */
+function outcomeFields(outcomeDef) {
+  const fields = new Set();
+  const collect = part => {
+    if (part.feature) {
+      fields.add(part.feature);
+      featureFields(part.feature).forEach(field => fields.add(field));
+    }
+    (part.value || '').replace(/\{(\w+)(?:\|[^}]*)?\}/g, (match, field) => {
+      if (field !== 'value') fields.add(field);
+      return match;
+    });
+  };
+  if (outcomeDef.notApplicable) collect(outcomeDef.notApplicable);
+  outcomeDef.terms.forEach(term => {
+    collect(term);
+    (term.levels || []).forEach(collect);
+  });
+  return fields;
+}
+
+module.exports = {
+  evaluateOutcome,
+  outcomeFields
+};
@@ -0,0 +1,181 @@
+/**
+ * STS Model Registry
+ * Loads the versioned model definitions in data/models/sts/ and resolves a
+ * procedure type (as returned by the extraction stage or the manual form) to
+ * the model set that scores it.
+ *
+ * Each definition file carries id, version, source and effectiveDate. Add-on
+ * files (e.g. concomitant CABG) list "combinations": their terms are appended
+ * to the named base model for the listed procedure types.
+ *
+ * A file's "uncertainty" block ({ interceptSE, relativeSE }) is resolved at load
+ * into an interceptSE per outcome and an "se" on every term level that does
+ * not give its own, so the engine can report intervals.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MODELS_DIR = path.join(__dirname, '..', 'data', 'models', 'sts');
+
+const OUTCOMES = [
+  'mortality',
+  'morbidity',
+  'stroke',
+  'renalFailure',
+  'reoperation',
+  'prolongedVentilation',
+  'deepSternalWoundInfection',
+  'longHospitalStay',
+  'shortHospitalStay'
+];
+
+/**
+ * Display names used in reports
+ */
+const OUTCOME_LABELS = {
+  mortality: 'Operative Mortality',
+  morbidity: 'Morbidity & Mortality',
+  stroke: 'Stroke',
+  renalFailure: 'Renal Failure',
+  reoperation: 'Reoperation',
+  prolongedVentilation: 'Prolonged Ventilation',
+  deepSternalWoundInfection: 'Deep Sternal Wound Infection',
+  longHospitalStay: 'Long Hospital Stay (>14 days)',
+  shortHospitalStay: 'Short Hospital Stay (<6 days)'
+};
+
+let registry = null;
+
+/**
+ * Read every definition file and index the model sets by procedure type
+ */
+function loadRegistry() {
+  const definitions = fs.readdirSync(MODELS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const definition = JSON.parse(fs.readFileSync(path.join(MODELS_DIR, file), 'utf8'));
+      ['id', 'version', 'source', 'effectiveDate', 'outcomes'].forEach(key => {
+        if (!definition[key]) {
+          throw new Error(`Model definition ${file} is missing "${key}"`);
+        }
+      });
+      resolveUncertainty(definition);
+      return definition;
+    });
+
+  const byId = {};
+  definitions.forEach(definition => { byId[definition.id] = definition; });
+
+  const byProcedureType = {};
+  const register = (procedureTypes, modelSet) => {
+    procedureTypes.forEach(type => {
+      const key = type.toLowerCase();
+      if (byProcedureType[key]) {
+        throw new Error(`Procedure type "${type}" is claimed by both ${byProcedureType[key].id} and ${modelSet.id}`);
+      }
+      byProcedureType[key] = modelSet;
+    });
+  };
+
+  definitions.filter(definition => !definition.combinations).forEach(definition => {
+    OUTCOMES.forEach(outcome => {
+      if (!definition.outcomes[outcome]) {
+        throw new Error(`Model ${definition.id} has no "${outcome}" outcome`);
+      }
+    });
+    register(definition.procedureTypes || [], buildModelSet(definition.procedure, [definition], definition.outcomes));
+  });
+
+  definitions.filter(definition => definition.combinations).forEach(addOn => {
+    addOn.combinations.forEach(combination => {
+      const base = byId[combination.base];
+      if (!base) {
+        throw new Error(`Model ${addOn.id} combines with unknown base model "${combination.base}"`);
+      }
+      const outcomes = {};
+      OUTCOMES.forEach(outcome => {
+        const extraTerms = addOn.outcomes[outcome]?.terms || [];
+        outcomes[outcome] = {
+          ...base.outcomes[outcome],
+          terms: base.outcomes[outcome].terms.concat(extraTerms)
+        };
+      });
+      register(combination.procedureTypes, buildModelSet(combination.procedure, [base, addOn], outcomes));
+    });
+  });
+
+  return { byProcedureType, definitions };
+}
+
+/**
+ * Fill in default standard errors from the definition's "uncertainty" block
+ */
+function resolveUncertainty(definition) {
+  const { interceptSE = 0, relativeSE = 0 } = definition.uncertainty || {};
+  const withSE = part => (part.se !== undefined || part.coefficient === undefined)
+    ? part
+    : { ...part, se: Math.round(Math.abs(part.coefficient) * relativeSE * 10000) / 10000 };
+
+  Object.values(definition.outcomes).forEach(outcome => {
+    if (outcome.interceptSE === undefined) outcome.interceptSE = interceptSE;
+    outcome.terms = (outcome.terms || []).map(term => {
+      const resolved = withSE(term);
+      return term.levels ? { ...resolved, levels: term.levels.map(withSE) } : resolved;
+    });
+  });
+}
+
+function buildModelSet(procedure, components, outcomes) {
+  return {
+    id: components.map(component => component.id).join('+'),
+    procedure: procedure,
+    version: components.map(component => `${component.id}@${component.version}`).join(' + '),
+    source: components.map(component => component.source).join(' '),
+    effectiveDate: components.map(component => component.effectiveDate).sort().pop(),
+    components: components.map(component => ({
+      id: component.id,
+      version: component.version,
+      effectiveDate: component.effectiveDate
+    })),
+    outcomes: outcomes
+  };
+}
+
+function getRegistry() {
+  if (!registry) {
+    registry = loadRegistry();
+  }
+  return registry;
+}
+
+/**
+ * Find the model set for a procedure type
+ * @param {string} procedureType - e.g. "Isolated CABG", "AVR + CABG"
+ * @returns {Object|null} Model set ({ id, procedure, version, source, effectiveDate, components, outcomes })
+ */
+function getModelSet(procedureType) {
+  if (!procedureType) return null;
+  return getRegistry().byProcedureType[procedureType.toString().toLowerCase()] || null;
+}
+
+/**
+ * List the loaded model definitions (metadata only)
+ */
+function listModels() {
+  return getRegistry().definitions.map(definition => ({
+    id: definition.id,
+    procedure: definition.procedure,
+    version: definition.version,
+    source: definition.source,
+    effectiveDate: definition.effectiveDate
+  }));
+}
+
+module.exports = {
+  OUTCOMES,
+  OUTCOME_LABELS,
+  getModelSet,
+  listModels
+};
@@ -0,0 +1,140 @@
+/**
+ * Risk Categorisation
+ * Buckets every outcome into Low / Moderate / High using the thresholds in
+ * config/riskThresholds.json (or the file named by RISK_THRESHOLDS_FILE).
+ *
+ * - "default" gives cutoffs per outcome; "procedures" overrides them per
+ *   procedure type, outcome by outcome (e.g. TAVR-vs-SAVR referral PROM
+ *   cutoffs for "Isolated AVR").
+ * - cutoffs [a, b] (percent): value < a → Low, < b → Moderate, otherwise High.
+ *   With "higherIsBetter" (short stay) the order is reversed: value ≥ b → Low,
+ *   ≥ a → Moderate, otherwise High.
+ * - An adverse outcome categorised High is flagged on its own, whatever
+ *   mortality says (a low chance of a short stay is categorised, not flagged).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { OUTCOMES } = require('./modelRegistry');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'riskThresholds.json');
+
+let config = null;
+
+/**
+ * Read and check the thresholds file
+ */
+function loadThresholds() {
+  const file = process.env.RISK_THRESHOLDS_FILE || DEFAULT_FILE;
+  const loaded = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(loaded.categories) || loaded.categories.length !== 3) {
+    throw new Error(`Risk thresholds ${file}: "categories" must list three names (low, moderate, high)`);
+  }
+  OUTCOMES.forEach(outcome => {
+    if (!loaded.default || !loaded.default[outcome]) {
+      throw new Error(`Risk thresholds ${file}: no default for "${outcome}"`);
+    }
+  });
+
+  const sections = [['default', loaded.default]].concat(
+    Object.entries(loaded.procedures || {}).map(([procedure, thresholds]) => [`procedures.${procedure}`, thresholds])
+  );
+  sections.forEach(([name, thresholds]) => {
+    Object.entries(thresholds).forEach(([outcome, threshold]) => {
+      if (!OUTCOMES.includes(outcome)) {
+        throw new Error(`Risk thresholds ${file}: unknown outcome "${outcome}" in ${name}`);
+      }
+      const cutoffs = threshold.cutoffs;
+      if (!Array.isArray(cutoffs) || cutoffs.length !== 2 || !cutoffs.every(value => typeof value === 'number') || cutoffs[0] > cutoffs[1]) {
+        throw new Error(`Risk thresholds ${file}: ${name}.${outcome}.cutoffs must be two ascending numbers`);
+      }
+    });
+  });
+
+  const procedures = {};
+  Object.entries(loaded.procedures || {}).forEach(([procedure, thresholds]) => {
+    procedures[procedure.toLowerCase()] = thresholds;
+  });
+
+  return { ...loaded, procedures, file };
+}
+
+function getThresholds() {
+  if (!config) {
+    config = loadThresholds();
+  }
+  return config;
+}
+
+/**
+ * Threshold for one outcome, with any procedure override applied
+ * @returns {Object} { cutoffs, higherIsBetter, source: 'default' | procedure type }
+ */
+function thresholdFor(outcome, procedureType) {
+  const thresholds = getThresholds();
+  const override = procedureType && thresholds.procedures[procedureType.toString().toLowerCase()];
+  if (override && override[outcome]) {
+    return { ...thresholds.default[outcome], ...override[outcome], source: procedureType };
+  }
+  return { ...thresholds.default[outcome], source: 'default' };
+}
+
+/**
+ * Category of one outcome value
+ * @param {string|number} percent - Predicted risk in percent
+ * @param {string} outcome - Outcome name (see OUTCOMES)
+ * @param {string} procedureType - Canonical procedure type, for overrides
+ * @returns {string|null} Category name, or null when the value is not numeric
+ */
+function categorizeOutcome(percent, outcome, procedureType) {
+  const value = parseFloat(percent);
+  if (isNaN(value)) return null;
+
+  const [low, moderate, high] = getThresholds().categories;
+  const { cutoffs, higherIsBetter } = thresholdFor(outcome, procedureType);
+
+  if (higherIsBetter) {
+    if (value >= cutoffs[1]) return low;
+    if (value >= cutoffs[0]) return moderate;
+    return high;
+  }
+  if (value < cutoffs[0]) return low;
+  if (value < cutoffs[1]) return moderate;
+  return high;
+}
+
+/**
+ * Categorise every outcome in a calculateSTSRisk() result
+ * @returns {Object} { categories: { outcome: category }, flags: [{ outcome, value, category, cutoffs }], thresholds: { version, source, overrides } }
+ */
+function categorizeOutcomes(results, procedureType) {
+  const thresholds = getThresholds();
+  const high = thresholds.categories[2];
+  const categories = {};
+  const flags = [];
+  const overrides = [];
+
+  OUTCOMES.forEach(outcome => {
+    const category = categorizeOutcome(results[outcome], outcome, procedureType);
+    if (category === null) return;
+    categories[outcome] = category;
+
+    const threshold = thresholdFor(outcome, procedureType);
+    if (threshold.source !== 'default') overrides.push(outcome);
+    if (category === high && !threshold.higherIsBetter) {
+      flags.push({ outcome, value: results[outcome], category, cutoffs: threshold.cutoffs });
+    }
+  });
+
+  return {
+    categories,
+    flags,
+    thresholds: { version: thresholds.version, source: thresholds.source, procedure: procedureType || null, overrides }
+  };
+}
+
+module.exports = {
+  categorizeOutcome,
+  categorizeOutcomes
+};
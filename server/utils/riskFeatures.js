@@ -0,0 +1,242 @@
+/**
+ * Risk Feature Readers
+ * Turn raw structured patient data into the named features that the model
+ * definitions in data/models/ refer to. The readers expect data that has
+ * been through utils/stsNormalizer.js (canonical field names and enum values).
+ */
+
+function isFemale(data) {
+  return data.gender?.toLowerCase() === 'female';
+}
+
+function getPriority(data) {
+  const priorityLower = data.priority?.toLowerCase() || '';
+  if (priorityLower.includes('salvage')) return 'salvage';
+  if (priorityLower.includes('emergency') || priorityLower.includes('emergent')) return 'emergent';
+  if (priorityLower === 'urgent') return 'urgent';
+  return null;
+}
+
+function hasDiabetes(data) {
+  return !!(data.diabetes && data.diabetes.toString().toLowerCase() !== 'no');
+}
+
+function isInsulinDiabetic(data) {
+  return !!data.diabetes && data.diabetes.toString().toLowerCase().includes('insulin');
+}
+
+function isReoperation(data) {
+  return !!(data.previousCABG || data.previousValve ||
+    (data.surgeryIncidence && data.surgeryIncidence.toLowerCase().includes('reop')));
+}
+
+function getLungDisease(data) {
+  const lungDiseaseLower = data.chronicLungDisease?.toLowerCase() || '';
+  if (lungDiseaseLower === 'severe') return 'severe';
+  if (lungDiseaseLower === 'moderate') return 'moderate';
+  if (lungDiseaseLower && lungDiseaseLower !== 'no') return 'present';
+  return null;
+}
+
+function getNYHAClass(data) {
+  return { 'Class I': 1, 'Class II': 2, 'Class III': 3, 'Class IV': 4 }[data.nyhaClass] || null;
+}
+
+function hasCerebrovascularDisease(data) {
+  const cvdLower = data.cerebrovascularDisease?.toLowerCase() || '';
+  return !!(cvdLower && cvdLower !== 'no');
+}
+
+function hasHeartFailure(data) {
+  const hfLower = data.heartFailure?.toLowerCase() || '';
+  return !!(hfLower && hfLower !== 'none');
+}
+
+function getEndocarditis(data) {
+  const endoLower = data.endocarditis?.toString().toLowerCase() || '';
+  if (!endoLower || endoLower === 'no') return null;
+  if (endoLower.includes('treated')) return 'treated';
+  return 'active';
+}
+
+function getValveGrade(data, field) {
+  const gradeLower = data[field]?.toString().toLowerCase() || '';
+  if (gradeLower.includes('severe')) return 'severe';
+  if (gradeLower.includes('moderate')) return 'moderate';
+  return null;
+}
+
+/**
+ * Myocardial infarction within 21 days ("> 21 days" carries no penalty)
+ * @returns {string|null} 'hyperacute' (≤ 6 hrs), 'recent' or null
+ */
+function getRecentMI(data) {
+  if (data.miTiming === '≤ 6 Hrs') return 'hyperacute';
+  if (['>6 Hrs but <24 Hrs', '1 to 7 Days', '8 to 21 Days'].includes(data.miTiming)) return 'recent';
+  return null;
+}
+
+/**
+ * Read an arrhythmia field ("None" | "Remote" | "Recent")
+ */
+function getArrhythmia(data, field) {
+  const valueLower = data[field]?.toString().toLowerCase() || '';
+  if (valueLower.includes('recent')) return 'recent';
+  if (valueLower.includes('remote')) return 'remote';
+  return null;
+}
+
+/**
+ * Platelet count in cells/μL; values below 1000 are taken as 10³/μL (250 = 250000)
+ */
+function getPlateletCount(data) {
+  if (typeof data.platelets !== 'number') return null;
+  return data.platelets < 1000 ? data.platelets * 1000 : data.platelets;
+}
+
+/**
+ * Carotid stenosis on either side
+ * @returns {string|null} 'Right', 'Left', 'Bilateral' or null
+ */
+function getCarotidStenosis(data) {
+  if (data.rightCarotidStenosis && data.leftCarotidStenosis) return 'Bilateral';
+  if (data.rightCarotidStenosis) return 'Right';
+  if (data.leftCarotidStenosis) return 'Left';
+  return null;
+}
+
+/**
+ * EuroSCORE II critical preoperative state: stated directly, or any of the STS
+ * fields it covers (shock, resuscitation, inotropes, mechanical support)
+ */
+function hasCriticalPreopState(data) {
+  return !!(data.criticalPreopState || data.cardiogenicShock || data.resuscitation ||
+    data.medInotropes || data.mechanicalSupport);
+}
+
+/**
+ * EuroSCORE II extracardiac arteriopathy: stated directly, or peripheral
+ * vascular disease, carotid stenosis or previous carotid surgery
+ */
+function hasExtracardiacArteriopathy(data) {
+  return !!(data.extracardiacArteriopathy || data.pvd || data.priorCarotidSurgery || getCarotidStenosis(data));
+}
+
+/**
+ * Myocardial infarction within 90 days: stated directly, or an STS MI timing
+ * within 21 days ("> 21 days" may or may not be within 90)
+ */
+function hasMIWithin90Days(data) {
+  return !!(data.miWithin90Days || getRecentMI(data));
+}
+
+/**
+ * EuroSCORE II pulmonary hypertension grade from the systolic PA pressure;
+ * without a pressure, a documented pulmonary hypertension counts as moderate
+ * @returns {string|null} 'severe' (> 55 mmHg), 'moderate' (31-55 mmHg) or null
+ */
+function getPulmonaryPressure(data) {
+  const pressure = data.pulmonaryArterySystolicPressure;
+  if (typeof pressure === 'number') {
+    if (pressure > 55) return 'severe';
+    if (pressure >= 31) return 'moderate';
+    return null;
+  }
+  return data.pulmonaryHypertension ? 'moderate' : null;
+}
+
+/**
+ * EuroSCORE II weight of the intervention from the procedure type
+ * ("AVR + CABG" is two procedures; isolated CABG carries no weight)
+ * @returns {string|null} 'single' (one non-CABG procedure), 'two', 'three' or null
+ */
+function getInterventionWeight(data) {
+  if (!data.procedureType) return null;
+  const parts = data.procedureType.toString().split('+').map(part => part.trim().toLowerCase()).filter(Boolean);
+  if (parts.length >= 3) return 'three';
+  if (parts.length === 2) return 'two';
+  return parts.length === 1 && !parts[0].includes('cabg') ? 'single' : null;
+}
+
+/**
+ * Named features available to model definitions. Any name not listed here is
+ * read straight from the patient data (e.g. "age", "dialysis", "bmi").
+ */
+const FEATURES = {
+  female: isFemale,
+  priority: getPriority,
+  diabetes: hasDiabetes,
+  insulinDiabetes: isInsulinDiabetic,
+  reoperation: isReoperation,
+  lungDisease: getLungDisease,
+  nyhaClass: getNYHAClass,
+  cerebrovascularDisease: hasCerebrovascularDisease,
+  heartFailure: hasHeartFailure,
+  endocarditis: getEndocarditis,
+  recentMI: getRecentMI,
+  mechanicalSupport: data => !!data.mechanicalSupport,
+  aorticRegurgitation: data => getValveGrade(data, 'aorticRegurgitation'),
+  mitralRegurgitation: data => getValveGrade(data, 'mitralRegurgitation'),
+  tricuspidRegurgitation: data => getValveGrade(data, 'tricuspidRegurgitation'),
+  atrialFibrillation: data => getArrhythmia(data, 'atrialFibrillation'),
+  atrialFlutter: data => getArrhythmia(data, 'atrialFlutter'),
+  ventricularArrhythmia: data => getArrhythmia(data, 'ventricularArrhythmia'),
+  plateletCount: getPlateletCount,
+  carotidStenosis: getCarotidStenosis,
+  illicitDrugUse: data => data.illicitDrugUse === 'Yes',
+  heavyAlcohol: data => data.alcoholUse === '≥ 8 drinks/week',
+  currentSmoker: data => data.tobaccoUse === 'Current smoker',
+  threeVesselDisease: data => data.numberOfDiseasedVessels === 'Three',
+  criticalPreopState: hasCriticalPreopState,
+  extracardiacArteriopathy: hasExtracardiacArteriopathy,
+  miWithin90Days: hasMIWithin90Days,
+  pulmonaryPressure: getPulmonaryPressure,
+  interventionWeight: getInterventionWeight
+};
+
+/**
+ * Patient fields each named feature reads (features not listed read the field
+ * of the same name)
+ */
+const FEATURE_FIELDS = {
+  female: ['gender'],
+  insulinDiabetes: ['diabetes'],
+  reoperation: ['previousCABG', 'previousValve', 'surgeryIncidence'],
+  lungDisease: ['chronicLungDisease'],
+  recentMI: ['miTiming'],
+  plateletCount: ['platelets'],
+  carotidStenosis: ['rightCarotidStenosis', 'leftCarotidStenosis'],
+  heavyAlcohol: ['alcoholUse'],
+  currentSmoker: ['tobaccoUse'],
+  threeVesselDisease: ['numberOfDiseasedVessels'],
+  criticalPreopState: ['criticalPreopState', 'cardiogenicShock', 'resuscitation', 'medInotropes', 'mechanicalSupport'],
+  extracardiacArteriopathy: ['extracardiacArteriopathy', 'pvd', 'priorCarotidSurgery', 'rightCarotidStenosis', 'leftCarotidStenosis'],
+  miWithin90Days: ['miWithin90Days', 'miTiming'],
+  pulmonaryPressure: ['pulmonaryArterySystolicPressure', 'pulmonaryHypertension'],
+  interventionWeight: ['procedureType']
+};
+
+/**
+ * Read a named feature (or raw field) from patient data
+ * @param {Object} data - Structured patient data
+ * @param {string} name - Feature name used in a model definition
+ * @returns {*} Feature value (null/false when absent)
+ */
+function readFeature(data, name) {
+  return FEATURES[name] ? FEATURES[name](data) : data[name];
+}
+
+/**
+ * Patient fields behind a feature name
+ * @param {string} name - Feature name used in a model definition
+ * @returns {Array} Field names
+ */
+function featureFields(name) {
+  return FEATURE_FIELDS[name] || [name];
+}
+
+module.exports = {
+  FEATURES,
+  readFeature,
+  featureFields
+};
@@ -0,0 +1,37 @@
+/**
+ * Seeded Random Numbers
+ * Deterministic generators so sampled ranges and intervals are reproducible
+ * from one run to the next.
+ */
+
+/**
+ * Uniform [0, 1) generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} () => number
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller) from a uniform generator
+ * @param {Function} random - From seededRandom()
+ * @returns {number}
+ */
+function normalDraw(random) {
+  const u1 = Math.max(random(), Number.EPSILON);
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+module.exports = {
+  seededRandom,
+  normalDraw
+};
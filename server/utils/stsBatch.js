@@ -0,0 +1,213 @@
+/**
+ * Batch Scoring
+ * Runs calculateSTSRisk() over many structured patients (a JSON array or a
+ * CSV export whose columns are extraction-schema fields, any spelling the
+ * normalizer accepts) for audits and retrospective cohorts. Each row is
+ * scored on its own: a bad row reports its errors and the rest still run.
+ */
+
+const { calculateSTSRisk } = require('./stsCalculator');
+const { OUTCOMES } = require('./modelRegistry');
+const { parseCSV, toCSV } = require('./csv');
+const { createYielder } = require('./eventLoop');
+
+const MAX_ROWS = 500;
+
+/**
+ * Columns that identify a row rather than describe the patient
+ * They are echoed back as `id` and not scored.
+ */
+const ID_FIELDS = ['id', 'patientId', 'caseId', 'mrn'];
+
+/**
+ * Patients from CSV text (header row = field names)
+ * @returns {Object} { patients } or { error }
+ */
+function parsePatientsCSV(text) {
+  try {
+    const { headers, records } = parseCSV(text);
+    if (headers.length === 0) return { error: 'CSV is empty' };
+    return { patients: records };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Patients from JSON or CSV text (files and stdin in the command-line tools)
+ * JSON may be one patient object, an array or { patients: [...] }.
+ * @param {string} text - File contents
+ * @param {string|null} type - 'json' or 'csv'; guessed from the content when null
+ * @returns {Object} { patients } or { error }
+ */
+function parsePatientsText(text, type) {
+  if ((type || (/^\s*[[{]/.test(text) ? 'json' : 'csv')) === 'csv') return parsePatientsCSV(text);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    return { error: `invalid JSON: ${err.message}` };
+  }
+  if (Array.isArray(parsed)) return { patients: parsed };
+  if (parsed && Array.isArray(parsed.patients)) return { patients: parsed.patients };
+  if (parsed && typeof parsed === 'object') return { patients: [parsed] };
+  return { error: 'JSON must be a patient object, an array of patients or { "patients": [...] }' };
+}
+
+/**
+ * Check the patient list before scoring anything
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBatch(patients) {
+  if (!Array.isArray(patients)) return 'patients must be an array';
+  if (patients.length === 0) return 'no patients to score';
+  if (patients.length > MAX_ROWS) return `too many patients (limit ${MAX_ROWS})`;
+  return null;
+}
+
+/**
+ * Separate the identifying column from the patient fields
+ * @returns {Object} { id, data }
+ */
+function splitId(patient) {
+  const data = { ...patient };
+  let id = null;
+  ID_FIELDS.forEach(field => {
+    if (data[field] === undefined) return;
+    if (id === null) id = data[field];
+    delete data[field];
+  });
+  return { id, data };
+}
+
+function scoreRow(patient, index, options) {
+  const row = { row: index + 1, id: null };
+  if (!patient || typeof patient !== 'object' || Array.isArray(patient)) {
+    return { ...row, status: 'invalid', errors: [{ code: 'invalid_row', message: 'row must be an object of patient fields' }], warnings: [] };
+  }
+
+  const { id, data } = splitId(patient);
+  row.id = id;
+  try {
+    const result = calculateSTSRisk(data, { intervals: options.intervals === true });
+    const outcomes = {};
+    OUTCOMES.forEach(outcome => { outcomes[outcome] = result[outcome]; });
+    return {
+      ...row,
+      status: result.blocked ? 'blocked' : 'scored',
+      procedureType: result.model ? result.model.procedure : data.procedureType || null,
+      modelVersion: result.modelVersion || null,
+      outcomes,
+      intervals: result.intervals,
+      riskCategory: result.riskCategory,
+      riskCategories: result.riskCategories,
+      riskFlags: result.riskFlags,
+      confidence: result.confidence,
+      missingFields: result.missingFields,
+      imputed: result.imputation ? result.imputation.imputed.map(item => item.field) : [],
+      errors: result.validation.errors,
+      warnings: result.validation.warnings,
+      result
+    };
+  } catch (err) {
+    return { ...row, status: 'error', errors: [{ code: 'calculation_failed', message: err.message }], warnings: [] };
+  }
+}
+
+/**
+ * Score every patient
+ * @param {Array} patients - Structured patient data (validate with validateBatch() first)
+ * @param {Object} options - { intervals: true } adds 95% intervals (slow: Monte Carlo per row)
+ * @returns {Object} { rows, summary } - each row keeps the full calculateSTSRisk() result
+ *   as `result` for callers that need it (see publicRows())
+ */
+function scoreBatch(patients, options = {}) {
+  return summarize(patients.map((patient, index) => scoreRow(patient, index, options)));
+}
+
+/**
+ * scoreBatch() for the server: the same result, but rows are scored in short
+ * chunks with a setImmediate() between them, so a large batch (a sparse row
+ * takes ~150 ms, ~360 ms with intervals) does not stall other requests
+ * @param {Array} patients - Structured patient data (validate with validateBatch() first)
+ * @param {Object} options - { intervals, isCancelled: () => boolean stops early, e.g. client gone }
+ * @returns {Promise<Object>} { rows, summary, cancelled }
+ */
+async function scoreBatchAsync(patients, options = {}) {
+  const rows = [];
+  const yieldNow = createYielder();
+  for (let index = 0; index < patients.length; index++) {
+    if (await yieldNow() && options.isCancelled && options.isCancelled()) return { ...summarize(rows), cancelled: true };
+    rows.push(scoreRow(patients[index], index, options));
+  }
+  return { ...summarize(rows), cancelled: false };
+}
+
+function summarize(rows) {
+  const summary = { total: rows.length, scored: 0, blocked: 0, invalid: 0, error: 0 };
+  rows.forEach(row => { summary[row.status]++; });
+  return { rows, summary };
+}
+
+/**
+ * Rows without the full calculation results, for the JSON response
+ */
+function publicRows(rows) {
+  return rows.map(({ result, ...row }) => row);
+}
+
+function messages(issues) {
+  return (issues || []).map(issue => issue.message).join('; ');
+}
+
+/**
+ * One CSV line per patient: outcomes (%), their category, flags and issues
+ */
+function batchToCSV(rows) {
+  const columns = ['row', 'id', 'status', 'procedureType', 'modelVersion', 'confidence'];
+  OUTCOMES.forEach(outcome => columns.push(outcome, `${outcome}Low`, `${outcome}High`, `${outcome}Category`));
+  columns.push('riskCategory', 'riskFlags', 'missingFields', 'imputed', 'errors', 'warnings');
+  if (rows.some(row => row.aiAnalysis !== undefined || row.aiError !== undefined)) columns.push('aiAnalysis', 'aiError');
+
+  const records = rows.map(row => {
+    const record = {
+      row: row.row,
+      id: row.id,
+      status: row.status,
+      procedureType: row.procedureType,
+      modelVersion: row.modelVersion,
+      confidence: row.confidence,
+      riskCategory: row.riskCategory,
+      riskFlags: (row.riskFlags || []).map(flag => flag.outcome).join('; '),
+      missingFields: (row.missingFields || []).join('; '),
+      imputed: (row.imputed || []).join('; '),
+      errors: messages(row.errors),
+      warnings: messages(row.warnings),
+      aiAnalysis: row.aiAnalysis,
+      aiError: row.aiError
+    };
+    OUTCOMES.forEach(outcome => {
+      const interval = row.intervals && row.intervals[outcome];
+      record[outcome] = row.outcomes ? row.outcomes[outcome] : null;
+      record[`${outcome}Low`] = interval ? interval.low : null;
+      record[`${outcome}High`] = interval ? interval.high : null;
+      record[`${outcome}Category`] = row.riskCategories ? row.riskCategories[outcome] : null;
+    });
+    return record;
+  });
+
+  return toCSV(records, columns);
+}
+
+module.exports = {
+  scoreBatch,
+  scoreBatchAsync,
+  validateBatch,
+  parsePatientsCSV,
+  parsePatientsText,
+  splitId,
+  publicRows,
+  batchToCSV,
+  MAX_ROWS
+};
@@ -0,0 +1,222 @@
+/**
+ * Calibration & Discrimination
+ * Scores a labelled cohort (structured inputs plus observed 30-day outcomes)
+ * with calculateSTSRisk() and measures, per outcome, how well the predicted
+ * risks match what happened:
+ *
+ * - O/E ratio: observed events / sum of predicted risks (95% CI, Poisson on O)
+ * - Brier score: mean (predicted - observed)², lower is better
+ * - C-statistic: probability a patient with the event was predicted higher
+ *   than one without (ties count half); 0.5 = chance
+ * - Calibration table: mean predicted vs observed rate by decile of predicted risk
+ *
+ * Outcomes a case does not report are left out for that outcome only.
+ */
+
+const { calculateSTSRisk } = require('./stsCalculator');
+const { OUTCOMES, OUTCOME_LABELS } = require('./modelRegistry');
+const { splitId } = require('./stsBatch');
+
+const Z = 1.959964;
+const GROUPS = 10;
+const OBSERVED_PREFIX = 'observed_';
+const TRUE_VALUES = ['1', 'yes', 'y', 'true'];
+const FALSE_VALUES = ['0', 'no', 'n', 'false'];
+
+/**
+ * Observed outcome as 1/0, or null when not reported
+ */
+function toEvent(value) {
+  if (value === true || value === 1) return 1;
+  if (value === false || value === 0) return 0;
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return 1;
+  if (FALSE_VALUES.includes(text)) return 0;
+  return null;
+}
+
+/**
+ * Split a labelled case into patient data and observed outcomes
+ * Accepts { patient, observed } or a flat record with observed_<outcome>
+ * columns (CSV), e.g. observed_mortality, observed_stroke.
+ * An id column (see ID_FIELDS in utils/stsBatch.js) is taken out of the patient data.
+ * @returns {Object} { id, patient, observed: { outcome: 1 | 0 } }
+ */
+function splitCase(record) {
+  let patient;
+  let observedValues;
+  if (record.patient && typeof record.patient === 'object') {
+    patient = record.patient;
+    observedValues = record.observed || {};
+  } else {
+    patient = {};
+    observedValues = {};
+    Object.entries(record).forEach(([field, value]) => {
+      if (field.startsWith(OBSERVED_PREFIX)) {
+        observedValues[field.slice(OBSERVED_PREFIX.length)] = value;
+      } else {
+        patient[field] = value;
+      }
+    });
+  }
+
+  const observed = {};
+  OUTCOMES.forEach(outcome => {
+    const event = toEvent(observedValues[outcome]);
+    if (event !== null) observed[outcome] = event;
+  });
+  const { id, data } = splitId(patient);
+  return { id: record.id !== undefined ? record.id : id, patient: data, observed };
+}
+
+/**
+ * Check the cohort before scoring anything
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCohort(cases) {
+  if (!Array.isArray(cases)) return 'cases must be an array';
+  if (cases.length === 0) return 'no cases to evaluate';
+  const invalid = cases.findIndex(item => !item || typeof item !== 'object' || Array.isArray(item));
+  if (invalid !== -1) return `cases[${invalid}] must be an object`;
+  const labelled = cases.some(item => Object.keys(splitCase(item).observed).length > 0);
+  if (!labelled) return `no observed outcomes (use "observed": { "mortality": 1 } or ${OBSERVED_PREFIX}<outcome> columns)`;
+  return null;
+}
+
+/**
+ * Area under the ROC curve by ranks (Mann-Whitney U), null without both classes
+ */
+function cStatistic(points) {
+  const events = points.filter(point => point.observed === 1).length;
+  const nonEvents = points.length - events;
+  if (events === 0 || nonEvents === 0) return null;
+
+  const sorted = points.slice().sort((a, b) => a.predicted - b.predicted);
+  let rankSum = 0;
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j < sorted.length && sorted[j].predicted === sorted[i].predicted) j++;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (sorted[k].observed === 1) rankSum += averageRank;
+    }
+    i = j;
+  }
+  return (rankSum - events * (events + 1) / 2) / (events * nonEvents);
+}
+
+/**
+ * Equal-size groups by predicted risk (deciles, or fewer for small cohorts)
+ */
+function calibrationTable(points) {
+  const sorted = points.slice().sort((a, b) => a.predicted - b.predicted);
+  const groups = Math.min(GROUPS, sorted.length);
+  const table = [];
+
+  for (let group = 0; group < groups; group++) {
+    const members = sorted.slice(Math.floor(group * sorted.length / groups), Math.floor((group + 1) * sorted.length / groups));
+    const expected = members.reduce((sum, point) => sum + point.predicted, 0);
+    const events = members.reduce((sum, point) => sum + point.observed, 0);
+    table.push({
+      group: group + 1,
+      n: members.length,
+      predictedLow: percent(members[0].predicted),
+      predictedHigh: percent(members[members.length - 1].predicted),
+      meanPredicted: percent(expected / members.length),
+      observedRate: percent(events / members.length),
+      expected: round(expected, 2),
+      observed: events
+    });
+  }
+  return table;
+}
+
+function percent(probability) {
+  return round(probability * 100, 2);
+}
+
+function round(value, decimals) {
+  return Number(value.toFixed(decimals));
+}
+
+/**
+ * Metrics for one outcome
+ * @param {Array} points - [{ predicted (0-1), observed (1 | 0) }]
+ */
+function evaluateOutcome(points) {
+  const n = points.length;
+  const observed = points.reduce((sum, point) => sum + point.observed, 0);
+  const expected = points.reduce((sum, point) => sum + point.predicted, 0);
+  const brier = points.reduce((sum, point) => sum + Math.pow(point.predicted - point.observed, 2), 0) / n;
+  const oe = expected > 0 ? observed / expected : null;
+  const c = cStatistic(points);
+
+  return {
+    n,
+    observed,
+    expected: round(expected, 2),
+    observedRate: percent(observed / n),
+    expectedRate: percent(expected / n),
+    oeRatio: oe === null ? null : round(oe, 3),
+    oeInterval: oe === null || observed === 0 ? null : {
+      low: round(oe * Math.exp(-Z / Math.sqrt(observed)), 3),
+      high: round(oe * Math.exp(Z / Math.sqrt(observed)), 3)
+    },
+    brier: round(brier, 4),
+    cStatistic: c === null ? null : round(c, 3),
+    calibration: calibrationTable(points)
+  };
+}
+
+/**
+ * Score a labelled cohort and evaluate every outcome that has observations
+ * @param {Array} cases - Labelled cases (see splitCase); validate with validateCohort() first
+ * @returns {Object} { cases, scored, excluded, modelVersions, outcomes: { outcome: metrics } }
+ */
+function evaluateCalibration(cases) {
+  const points = {};
+  OUTCOMES.forEach(outcome => { points[outcome] = []; });
+  const excluded = [];
+  const modelVersions = new Set();
+
+  cases.forEach((item, index) => {
+    const { id, patient, observed } = splitCase(item);
+    const result = calculateSTSRisk(patient, { intervals: false });
+    if (result.blocked || !result.modelVersion) {
+      excluded.push({
+        row: index + 1,
+        id,
+        reason: result.blocked ? result.validation.errors.map(issue => issue.message).join('; ') : 'no model for this procedure'
+      });
+      return;
+    }
+
+    modelVersions.add(result.modelVersion);
+    Object.entries(observed).forEach(([outcome, event]) => {
+      const predicted = parseFloat(result[outcome]);
+      if (isNaN(predicted)) return; // not applicable (e.g. renal failure on dialysis)
+      points[outcome].push({ predicted: predicted / 100, observed: event });
+    });
+  });
+
+  const outcomes = {};
+  OUTCOMES.forEach(outcome => {
+    if (points[outcome].length === 0) return;
+    outcomes[outcome] = { label: OUTCOME_LABELS[outcome], ...evaluateOutcome(points[outcome]) };
+  });
+
+  return {
+    cases: cases.length,
+    scored: cases.length - excluded.length,
+    excluded,
+    modelVersions: Array.from(modelVersions),
+    outcomes
+  };
+}
+
+module.exports = {
+  evaluateCalibration,
+  validateCohort,
+  splitCase
+};
@@ -0,0 +1,123 @@
+/**
+ * Procedure-Option Comparison
+ * Scores one patient under several candidate operations (e.g. isolated CABG
+ * vs AVR + CABG, MV repair vs MVR) for heart-team discussions. Every option
+ * runs calculateSTSRisk() on the same structured data; only procedureType
+ * changes. Differences are against the first option (the reference).
+ */
+
+const { calculateSTSRisk } = require('./stsCalculator');
+const { normalizePatientData, canonicalField, ENUM_FIELDS } = require('./stsNormalizer');
+const { getModelSet, OUTCOMES, OUTCOME_LABELS } = require('./modelRegistry');
+
+const MAX_OPTIONS = 8;
+
+/**
+ * Canonical procedure types that have a model
+ */
+function listComparableProcedures() {
+  return ENUM_FIELDS.procedureType.values.filter(procedureType => getModelSet(procedureType));
+}
+
+/**
+ * Map the requested procedure types onto canonical ones
+ * @returns {Object} { procedureTypes } or { error }
+ */
+function resolveProcedureTypes(requested) {
+  if (!Array.isArray(requested) || requested.length < 2) {
+    return { error: 'procedureTypes must list at least two procedures' };
+  }
+  if (requested.length > MAX_OPTIONS) {
+    return { error: `too many procedures (limit ${MAX_OPTIONS})` };
+  }
+
+  const procedureTypes = [];
+  for (const value of requested) {
+    const procedureType = normalizePatientData({ procedureType: value }).data.procedureType;
+    if (!procedureType || !getModelSet(procedureType)) {
+      return { error: `no model for procedure type "${value}" (supported: ${listComparableProcedures().join(', ')})` };
+    }
+    if (!procedureTypes.includes(procedureType)) procedureTypes.push(procedureType);
+  }
+  if (procedureTypes.length < 2) {
+    return { error: 'procedureTypes must list at least two different procedures' };
+  }
+  return { procedureTypes };
+}
+
+function signed(value, decimals) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(decimals)}`;
+}
+
+/**
+ * Outcome × procedure matrix with absolute (percentage points) and relative
+ * (%) differences from the reference option
+ */
+function buildMatrix(options) {
+  const reference = options[0];
+
+  return OUTCOMES.map(outcome => {
+    const row = { outcome, label: OUTCOME_LABELS[outcome], values: {}, absolute: {}, relative: {} };
+    const base = parseFloat(reference.outcomes[outcome]);
+    const decimals = (String(reference.outcomes[outcome]).split('.')[1] || '').length;
+
+    options.forEach(option => {
+      const value = option.outcomes[outcome];
+      const numeric = parseFloat(value);
+      row.values[option.procedureType] = value;
+      if (option === reference) return;
+
+      const comparable = !isNaN(base) && !isNaN(numeric);
+      row.absolute[option.procedureType] = comparable ? signed(numeric - base, decimals) : null;
+      row.relative[option.procedureType] = comparable && base > 0 ? `${signed((numeric / base - 1) * 100, 0)}%` : null;
+    });
+    return row;
+  });
+}
+
+/**
+ * Score a patient under each candidate procedure
+ * @param {Object} patient - Structured patient data (any supported spelling); its procedureType is ignored
+ * @param {Array} procedureTypes - Canonical procedure types (see resolveProcedureTypes); the first is the reference
+ * @returns {Object} { reference, options, matrix, validation }
+ */
+function compareProcedures(patient, procedureTypes) {
+  // The raw patient, so its validation (unmapped values, aliases) matches
+  // /api/sts-score; the given procedure, under any spelling, is replaced
+  const basePatient = {};
+  Object.entries(patient).forEach(([name, value]) => {
+    if (canonicalField(name) !== 'procedureType') basePatient[name] = value;
+  });
+
+  const options = procedureTypes.map(procedureType => {
+    const result = calculateSTSRisk({ ...basePatient, procedureType });
+    const outcomes = {};
+    OUTCOMES.forEach(outcome => { outcomes[outcome] = result[outcome]; });
+    return {
+      procedureType,
+      modelVersion: result.modelVersion || null,
+      outcomes,
+      intervals: result.intervals,
+      riskCategory: result.riskCategory,
+      riskCategories: result.riskCategories,
+      riskFlags: result.riskFlags,
+      confidence: result.confidence,
+      blocked: result.blocked,
+      missingFields: result.missingFields,
+      validation: result.validation
+    };
+  });
+
+  return {
+    reference: procedureTypes[0],
+    options: options.map(({ validation, ...option }) => option),
+    matrix: buildMatrix(options),
+    validation: options[0].validation
+  };
+}
+
+module.exports = {
+  compareProcedures,
+  resolveProcedureTypes,
+  listComparableProcedures
+};
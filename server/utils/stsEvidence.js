@@ -0,0 +1,111 @@
+/**
+ * STS Extraction Evidence
+ * Ties each extracted value to the text of the patient notes it came from.
+ * The extraction stage returns a quote per field (`evidence` in
+ * data/schemas/stsExtraction.schema.json); the offsets are found here, in the
+ * submitted notes, rather than trusted from the model.
+ *
+ * - A quote is matched exactly first, then ignoring case, runs of whitespace
+ *   and typographic quotes/dashes
+ * - Every value that is not null, '' or false needs a quote; one without a
+ *   quote, or whose quote is not in the notes, is flagged as unsupported
+ *   (possibly hallucinated)
+ */
+
+// Typographic characters folded to their plain form before fuzzy matching
+const CHAR_FOLDS = {
+  '‘': "'", '’': "'", '“': '"', '”': '"',
+  '–': '-', '—': '-', ' ': ' '
+};
+
+/**
+ * Values that must be backed by a quote
+ */
+function needsEvidence(value) {
+  return value !== null && value !== undefined && value !== '' && value !== false;
+}
+
+/**
+ * Lower-cased text with whitespace runs collapsed, and the index in the
+ * original text of every character kept
+ */
+function foldText(text) {
+  let folded = '';
+  const positions = [];
+  let lastWasSpace = false;
+  for (let index = 0; index < text.length; index++) {
+    const char = CHAR_FOLDS[text[index]] || text[index];
+    if (/\s/.test(char)) {
+      if (lastWasSpace) continue;
+      lastWasSpace = true;
+      folded += ' ';
+    } else {
+      lastWasSpace = false;
+      folded += char.toLowerCase();
+    }
+    positions.push(index);
+  }
+  return { folded, positions };
+}
+
+/**
+ * Find a quote in the notes
+ * @param {string} notes - Submitted patient notes
+ * @param {string} quote - Quote returned by the model
+ * @returns {Object|null} { start, end, match: 'exact' | 'normalized' } (end exclusive)
+ */
+function findQuote(notes, quote) {
+  const trimmed = (quote || '').trim().replace(/^["'“‘]+|["'”’]+$/g, '').replace(/^\.{3}|\.{3}$/g, '').trim();
+  if (!trimmed) return null;
+
+  const exact = notes.indexOf(trimmed);
+  if (exact !== -1) return { start: exact, end: exact + trimmed.length, match: 'exact' };
+
+  const haystack = foldText(notes);
+  const needle = foldText(trimmed).folded.trim();
+  const found = haystack.folded.indexOf(needle);
+  if (found === -1) return null;
+  return {
+    start: haystack.positions[found],
+    end: haystack.positions[found + needle.length - 1] + 1,
+    match: 'normalized'
+  };
+}
+
+/**
+ * Locate the quote of every extracted value in the notes
+ * @param {string} notes - Submitted patient notes
+ * @param {Object} data - Extracted fields
+ * @param {Object} quotes - { field: quote } from the extraction answer
+ * @returns {Object} {
+ *   evidence,     // { field: { quote, start, end, match } } for quotes found in the notes
+ *   unsupported   // [{ field, value, reason: 'no_evidence' | 'quote_not_found', quote, message }]
+ * }
+ */
+function locateEvidence(notes, data, quotes = {}) {
+  const evidence = {};
+  const unsupported = [];
+
+  Object.entries(data).forEach(([field, value]) => {
+    if (!needsEvidence(value)) return;
+    const quote = typeof quotes[field] === 'string' ? quotes[field] : null;
+    if (!quote || !quote.trim()) {
+      unsupported.push({ field, value, reason: 'no_evidence', quote: null, message: `${field}: no supporting quote - possibly hallucinated` });
+      return;
+    }
+    const span = findQuote(notes, quote);
+    if (!span) {
+      unsupported.push({ field, value, reason: 'quote_not_found', quote, message: `${field}: quote "${quote}" is not in the notes - possibly hallucinated` });
+      return;
+    }
+    evidence[field] = { quote: notes.slice(span.start, span.end), start: span.start, end: span.end, match: span.match };
+  });
+
+  return { evidence, unsupported };
+}
+
+module.exports = {
+  findQuote,
+  locateEvidence,
+  needsEvidence
+};
@@ -0,0 +1,237 @@
+/**
+ * STS Extraction Stage
+ * Stage 1 of /api/sts-score: the LLM reads the patient notes and returns the
+ * STS fields as JSON. The contract is data/schemas/stsExtraction.schema.json;
+ * the prompt is generated from it and every answer is validated against it.
+ *
+ * - An answer that is not JSON or breaks the schema is sent back to the model
+ *   with the list of problems, up to MAX_REPAIR_ATTEMPTS times
+ * - Fields still invalid after the last attempt are dropped from the data and
+ *   returned in `needsReview` instead of failing the analysis
+ * - The answer's `evidence` quotes are located in the notes (utils/stsEvidence.js);
+ *   values without one are returned in `unsupported`
+ * - Its `confidence` reasons become a level per field (utils/stsFieldConfidence.js)
+ *
+ * extractForAnalysis() is what the route runs: the LLM answer cross-checked
+ * against the rule-based extractor (utils/stsRuleExtractor.js), or the rules
+ * alone in offline mode and when the LLM call fails.
+ */
+
+const path = require('path');
+const { complete, parseJSONResponse } = require('./llmProvider');
+const { validateSchema } = require('./jsonSchema');
+const { locateEvidence } = require('./stsEvidence');
+const { assessFieldConfidence } = require('./stsFieldConfidence');
+const { extractWithRules, crossCheckExtraction } = require('./stsRuleExtractor');
+
+const EXTRACTION_SCHEMA = require(path.join(__dirname, '..', 'data', 'schemas', 'stsExtraction.schema.json'));
+
+// Repair requests after the first answer (3 LLM calls at most)
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Value format of one field in the prompt: its description, else the enum
+ * values or the type
+ */
+function promptFormat(property) {
+  if (property.description) return property.description;
+  if (property.enum) return property.enum.map(value => value === null ? 'null' : `"${value}"`).join(' | ');
+  const types = Array.isArray(property.type) ? property.type : [property.type];
+  return types.includes('boolean') ? 'boolean' : types.join(' | ');
+}
+
+/**
+ * JSON template for the prompt, grouped under the schema's x-section headings
+ */
+function buildFieldTemplate() {
+  const lines = [];
+  let section = null;
+  const entries = Object.entries(EXTRACTION_SCHEMA.properties);
+  entries.forEach(([field, property], index) => {
+    if (property['x-section'] !== section) {
+      if (section !== null) lines.push('  ');
+      section = property['x-section'];
+      lines.push(`  // ${section}`);
+    }
+    lines.push(`  "${field}": ${promptFormat(property)}${index < entries.length - 1 ? ',' : ''}`);
+  });
+  return `{\n${lines.join('\n')}\n}`;
+}
+
+/**
+ * First prompt of the extraction stage
+ * @param {string} notes - Free-text patient notes
+ */
+function buildExtractionPrompt(notes) {
+  return `Extract ALL STS Risk Calculator fields from these patient notes. Return ONLY valid JSON.
+
+REQUIRED FIELDS (extract every one possible):
+
+${buildFieldTemplate()}
+
+Patient Notes:
+${notes}
+
+For "evidence", copy the shortest passage of the notes that supports each value, character for character; do not paraphrase or combine passages.
+
+For "confidence", say how each value was obtained: "explicitly stated" when the notes give it directly, "inferred" when you derived it from other findings (e.g. NYHA class from symptoms), "defaulted to false" for a boolean the notes do not mention, "conflicting mentions" when the notes disagree (use the most recent value).
+
+Return ONLY the JSON object. Extract everything possible, use null for missing data, false for booleans.`;
+}
+
+/**
+ * Follow-up prompt listing what was wrong with the previous answer
+ * @param {Array} issues - validateSchema() issues
+ */
+function buildRepairPrompt(issues) {
+  return `Your previous answer does not match the required format:
+
+${issues.map(issue => `- ${issue.message}`).join('\n')}
+
+Return the complete corrected JSON object, with every field you extracted. Use only the allowed values; use null when the notes do not support one of them. Return ONLY the JSON object.`;
+}
+
+/**
+ * Parse and validate one answer
+ * @returns {Object} { parsed: the JSON object or null, issues }
+ */
+function checkAnswer(text) {
+  let parsed;
+  try {
+    parsed = parseJSONResponse(text || '');
+  } catch (err) {
+    return { parsed: null, issues: [{ field: 'response', value: null, code: 'invalid_json', message: `response: not valid JSON (${err.message})` }] };
+  }
+  const issues = validateSchema(parsed, EXTRACTION_SCHEMA);
+  const isObject = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+  return { parsed: isObject ? parsed : null, issues };
+}
+
+/**
+ * Per-field annotations of the answer (evidence, confidence) that passed the schema
+ */
+function validAnnotations(annotations, name, invalid) {
+  if (invalid.has(name)) return {};
+  return Object.fromEntries(Object.entries(annotations || {}).filter(([field]) => !invalid.has(`${name}.${field}`)));
+}
+
+/**
+ * Run the extraction stage with schema validation and repair
+ * @param {string} notes - Free-text patient notes
+ * @param {Object} options - { maxRepairAttempts }
+ * @returns {Promise<Object>} {
+ *   data,          // extracted fields that passed the schema (null when no answer was a JSON object)
+ *   needsReview,   // [{ field, value, code, message }] dropped after the last attempt
+ *   evidence,      // { field: { quote, start, end, match } } offsets in `notes`
+ *   unsupported,   // [{ field, value, reason, quote, message }] values without evidence in the notes
+ *   confidence,    // { field: { level, reason, note } }
+ *   attempts,      // LLM calls made
+ *   schemaVersion
+ * }
+ */
+async function extractPatientData(notes, { maxRepairAttempts = MAX_REPAIR_ATTEMPTS } = {}) {
+  const messages = [{ role: 'user', content: buildExtractionPrompt(notes) }];
+  let lastObject = null;
+  let issues = [];
+  let attempts = 0;
+
+  while (attempts <= maxRepairAttempts) {
+    attempts++;
+    const text = await complete('extraction', messages);
+    const checked = checkAnswer(text);
+    issues = checked.issues;
+    if (checked.parsed) lastObject = checked.parsed;
+    if (issues.length === 0) break;
+
+    if (attempts <= maxRepairAttempts) {
+      console.log(`🔁 Extraction answer ${attempts} failed validation (${issues.length} issue(s)) - requesting a repair...`);
+      messages.push({ role: 'assistant', content: text || '' }, { role: 'user', content: buildRepairPrompt(issues) });
+    }
+  }
+
+  const result = { data: null, needsReview: [], evidence: {}, unsupported: [], confidence: {}, attempts, schemaVersion: EXTRACTION_SCHEMA.version };
+  if (!lastObject) {
+    result.needsReview = issues;
+    return result;
+  }
+
+  // The last answer that parsed, without the fields that still break the schema
+  const finalIssues = validateSchema(lastObject, EXTRACTION_SCHEMA);
+  const invalid = new Set(finalIssues.map(issue => issue.field));
+  const { evidence: quotes, confidence: reasons, ...fields } = lastObject;
+  result.data = Object.fromEntries(Object.entries(fields).filter(([field]) => !invalid.has(field)));
+  result.needsReview = finalIssues;
+  if (finalIssues.length > 0) {
+    console.log(`⚠️ Extraction: ${finalIssues.length} field(s) need review after ${attempts} attempt(s): ${[...invalid].join(', ')}`);
+  }
+
+  const { evidence, unsupported } = locateEvidence(notes, result.data, validAnnotations(quotes, 'evidence', invalid));
+  result.evidence = evidence;
+  result.unsupported = unsupported;
+  if (unsupported.length > 0) {
+    console.log(`⚠️ Extraction: no evidence in the notes for ${unsupported.map(item => item.field).join(', ')}`);
+  }
+  result.confidence = assessFieldConfidence(result.data, validAnnotations(reasons, 'confidence', invalid), unsupported);
+  return result;
+}
+
+/**
+ * Extraction for an analysis: the LLM stage with the rule-based extractor as
+ * a cross-check, or the rules alone
+ * @param {string} notes - Free-text patient notes
+ * @param {Object} options - { offline: skip the LLM, maxRepairAttempts }
+ * @returns {Promise<Object>} extractPatientData() result plus {
+ *   method,      // 'llm' | 'rules'
+ *   fallback,    // why the rules were used although offline was not set (null otherwise)
+ *   crossCheck   // crossCheckExtraction() result when method is 'llm', else null
+ * }
+ */
+async function extractForAnalysis(notes, { offline = false, ...options } = {}) {
+  const rules = extractWithRules(notes);
+  let fallback = null;
+  let needsReview = [];
+  let attempts = 0;
+
+  if (!offline) {
+    try {
+      const result = await extractPatientData(notes, options);
+      // {} parses but carries nothing to score: as unusable as no answer
+      if (result.data && Object.keys(result.data).length > 0) {
+        const crossCheck = crossCheckExtraction(result.data, rules);
+        if (crossCheck.disagreements.length > 0) {
+          console.log(`⚠️ Extraction cross-check: the rules disagree on ${crossCheck.disagreements.map(item => item.field).join(', ')}`);
+        }
+        return { ...result, method: 'llm', fallback: null, crossCheck };
+      }
+      fallback = result.data
+        ? 'the extraction model returned no STS fields'
+        : `no valid JSON from the extraction model after ${result.attempts} attempt(s)`;
+      needsReview = result.needsReview;
+      attempts = result.attempts;
+    } catch (err) {
+      fallback = `extraction model call failed: ${err.message}`;
+    }
+    console.log(`⚠️ LLM extraction unusable (${fallback}) - using the rule-based extraction`);
+  }
+
+  return {
+    data: rules.data,
+    needsReview,
+    evidence: rules.evidence,
+    unsupported: [],
+    confidence: assessFieldConfidence(rules.data, rules.reasons),
+    attempts,
+    schemaVersion: EXTRACTION_SCHEMA.version,
+    method: 'rules',
+    fallback,
+    crossCheck: null
+  };
+}
+
+module.exports = {
+  EXTRACTION_SCHEMA,
+  MAX_REPAIR_ATTEMPTS,
+  buildExtractionPrompt,
+  extractPatientData,
+  extractForAnalysis
+};
@@ -0,0 +1,159 @@
+/**
+ * STS Field Confidence, Review Queue & Provenance
+ * The extraction stage gives each field a reason ("explicitly stated",
+ * "inferred", "defaulted to false", "conflicting mentions"); the level is
+ * derived from it here, and lowered when the value has no quote in the notes.
+ *
+ * The review queue is what the clinician should confirm before trusting the
+ * numbers: low/medium-confidence values, and the values that move the
+ * predicted mortality most (the mortality model re-evaluated without each one,
+ * no LLM), and
+ * values the rule-based extractor read differently (utils/stsRuleExtractor.js).
+ * Provenance records, per value, whether a human confirmed or edited it or
+ * it is machine-only.
+ */
+
+const { scorePointMortality } = require('./stsCalculator');
+const { normalizePatientData } = require('./stsNormalizer');
+const { applyChanges } = require('./stsWhatIf');
+
+const CONFIDENCE_REASONS = {
+  'explicitly stated': 'high',
+  'inferred': 'medium',
+  'defaulted to false': 'low',
+  'conflicting mentions': 'low'
+};
+
+const LEVEL_ORDER = { low: 0, medium: 1, high: 2 };
+
+// Values ranked by their effect on PROM that always join the review queue
+const INFLUENTIAL_FIELDS = 5;
+// Smallest PROM change (percentage points) that counts as influential
+const MIN_INFLUENCE = 0.1;
+
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Confidence level and reason for every extracted value
+ * @param {Object} data - Extracted fields
+ * @param {Object} reasons - { field: reason } from the extraction answer
+ * @param {Array} unsupported - Values without a quote in the notes (utils/stsEvidence.js)
+ * @returns {Object} { field: { level: 'high' | 'medium' | 'low', reason, note } }
+ */
+function assessFieldConfidence(data, reasons = {}, unsupported = []) {
+  const unsupportedFields = new Set(unsupported.map(item => item.field));
+  const confidence = {};
+
+  Object.entries(data).forEach(([field, value]) => {
+    if (!hasValue(value)) return;
+    let reason = reasons[field];
+    if (!CONFIDENCE_REASONS[reason]) {
+      reason = value === false ? 'defaulted to false' : 'not rated';
+    }
+    const entry = { level: CONFIDENCE_REASONS[reason] || 'low', reason, note: null };
+    if (unsupportedFields.has(field)) {
+      entry.level = 'low';
+      entry.note = 'no supporting quote in the notes';
+    }
+    confidence[field] = entry;
+  });
+
+  return confidence;
+}
+
+/**
+ * Change in predicted mortality when each value is taken away (true → false,
+ * anything else → unknown, at its typical value). Only the mortality model's
+ * point estimate is re-evaluated per value; imputation ranges and intervals
+ * would not change the ranking and cost hundreds of scenarios each.
+ * @param {Object} data - Extracted fields
+ * @param {Object} mathResult - calculateSTSRisk() result for data
+ * @returns {Object} { field: percentage points } for fields the model uses
+ */
+function measureInfluence(data, mathResult) {
+  if (mathResult.blocked || isNaN(parseFloat(mathResult.mortality))) return {};
+  const baseData = normalizePatientData(data).data;
+  const base = scorePointMortality(baseData);
+  if (base === null) return {};
+  const unused = new Set((mathResult.unusedFields || []).map(item => item.field));
+  const influence = {};
+
+  Object.entries(baseData).forEach(([field, value]) => {
+    if (!hasValue(value) || value === false || unused.has(field)) return;
+    const changed = applyChanges(baseData, { [field]: value === true ? false : null }).data;
+    const mortality = scorePointMortality(changed);
+    if (mortality === null) return;
+    influence[field] = Math.abs(base - mortality) * 100;
+  });
+
+  return influence;
+}
+
+/**
+ * Fields for the clinician to confirm, least confident first, then by effect on PROM
+ * @param {Object} data - Extracted fields
+ * @param {Object} confidence - assessFieldConfidence() result
+ * @param {Object} mathResult - calculateSTSRisk() result for data
+ * @param {Array} disagreements - Cross-check disagreements [{ field, rules }] (optional)
+ * @returns {Array} [{ field, value, level, reason, note, mortalityEffect, rulesValue,
+ *   why: ['low confidence' | 'risk-influential' | 'rules disagree'] }]
+ *   mortalityEffect: |PROM with the value - PROM without it| in points, one-sided (not a ± interval)
+ */
+function buildReviewQueue(data, confidence, mathResult, disagreements = []) {
+  const rulesValues = new Map(disagreements.map(item => [item.field, item.rules]));
+  const influence = measureInfluence(data, mathResult);
+  const influential = new Set(Object.entries(influence)
+    .filter(([, effect]) => effect >= MIN_INFLUENCE)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, INFLUENTIAL_FIELDS)
+    .map(([field]) => field));
+
+  return Object.entries(confidence)
+    .map(([field, entry]) => {
+      const why = [];
+      if (entry.level !== 'high' && entry.reason !== 'defaulted to false') why.push('low confidence');
+      if (influential.has(field)) why.push('risk-influential');
+      if (rulesValues.has(field)) why.push('rules disagree');
+      return {
+        field,
+        value: data[field],
+        level: entry.level,
+        reason: entry.reason,
+        note: entry.note,
+        mortalityEffect: influence[field] !== undefined ? Number(influence[field].toFixed(2)) : null,
+        rulesValue: rulesValues.has(field) ? rulesValues.get(field) : null,
+        why
+      };
+    })
+    .filter(item => item.why.length > 0)
+    .sort((a, b) => LEVEL_ORDER[a.level] - LEVEL_ORDER[b.level] || (b.mortalityEffect || 0) - (a.mortalityEffect || 0));
+}
+
+/**
+ * Who stands behind each value used in the report
+ * @param {Object} data - Patient data that was scored
+ * @param {Object} confidence - { field: { level, reason } } from the extraction (may be empty)
+ * @param {Object} reviewed - { field: 'confirmed' | 'edited' } from the clinician
+ * @returns {Array} [{ field, value, source: 'human-confirmed' | 'human-edited' | 'machine-only', level, reason }]
+ *   - values that are null, '' or an unreviewed false are left out
+ */
+function buildProvenance(data, confidence = {}, reviewed = {}) {
+  return Object.entries(data)
+    .filter(([field, value]) => hasValue(value) && (value !== false || reviewed[field]))
+    .map(([field, value]) => ({
+      field,
+      value,
+      source: reviewed[field] === 'edited' ? 'human-edited' : (reviewed[field] === 'confirmed' ? 'human-confirmed' : 'machine-only'),
+      level: confidence[field] ? confidence[field].level : null,
+      reason: confidence[field] ? confidence[field].reason : null
+    }));
+}
+
+module.exports = {
+  CONFIDENCE_REASONS,
+  assessFieldConfidence,
+  buildReviewQueue,
+  buildProvenance
+};
@@ -0,0 +1,169 @@
+/**
+ * Missing-Data Imputation
+ * Fills covariates that are missing from the patient data with values from
+ * population priors (data/populationPriors.json) instead of guessing a point
+ * score.
+ *
+ * - Point estimate: every missing field set to its prior's typical value
+ *   (single imputation), so the detailed steps show exactly what was scored.
+ * - Range: the model is re-run over the prior scenarios of all missing fields
+ *   together (every combination, or a seeded sample when there are too many);
+ *   low/high are the weighted 10th/90th percentiles of the predicted risk.
+ * - Impact: each missing field is varied on its own (others typical) to show
+ *   how far its absence alone can move predicted mortality.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { seededRandom } = require('./seededRandom');
+
+const PRIORS = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'populationPriors.json'), 'utf8'));
+
+const MAX_SCENARIOS = 1000;
+const SAMPLE_SEED = 20260101;
+const LOW_PERCENTILE = 0.1;
+const HIGH_PERCENTILE = 0.9;
+
+// Fields with a population prior
+const IMPUTED_FIELDS = Object.keys(PRIORS.fields);
+
+/**
+ * Fields with a population prior that are absent from the data
+ */
+function findMissingFields(data) {
+  return Object.keys(PRIORS.fields).filter(field => data[field] === undefined || data[field] === null);
+}
+
+/**
+ * All combinations of the missing fields' scenarios, or a weighted sample
+ * @returns {Object} { scenarios: [{ values: { field: value }, weight }], sampled }
+ */
+function buildScenarios(fields) {
+  const total = fields.reduce((count, field) => count * PRIORS.fields[field].scenarios.length, 1);
+
+  if (total <= MAX_SCENARIOS) {
+    const scenarios = fields.reduce((combinations, field) => {
+      const next = [];
+      combinations.forEach(combination => {
+        PRIORS.fields[field].scenarios.forEach(scenario => {
+          next.push({
+            values: { ...combination.values, [field]: scenario.value },
+            weight: combination.weight * scenario.weight
+          });
+        });
+      });
+      return next;
+    }, [{ values: {}, weight: 1 }]);
+    return { scenarios, sampled: false };
+  }
+
+  // Too many combinations: draw each field from its prior; equal weights
+  const random = seededRandom(SAMPLE_SEED);
+  const samples = [];
+  for (let i = 0; i < MAX_SCENARIOS; i++) {
+    const values = {};
+    fields.forEach(field => { values[field] = samplePrior(field, random); });
+    samples.push({ values, weight: 1 / MAX_SCENARIOS });
+  }
+  return { scenarios: samples, sampled: true };
+}
+
+/**
+ * Draw one value from a field's prior
+ * @param {string} field - Field with a population prior
+ * @param {Function} random - Uniform generator (utils/seededRandom.js)
+ */
+function samplePrior(field, random) {
+  const scenarios = PRIORS.fields[field].scenarios;
+  let draw = random();
+  const picked = scenarios.find(scenario => (draw -= scenario.weight) < 0) || scenarios[scenarios.length - 1];
+  return picked.value;
+}
+
+function weightedPercentile(points, percentile) {
+  const sorted = points.slice().sort((a, b) => a.value - b.value);
+  const totalWeight = sorted.reduce((sum, point) => sum + point.weight, 0);
+  let cumulative = 0;
+  for (const point of sorted) {
+    cumulative += point.weight;
+    if (cumulative / totalWeight >= percentile) return point.value;
+  }
+  return sorted[sorted.length - 1].value;
+}
+
+/**
+ * Typical (point-estimate) value of every field with a prior that is absent
+ * @returns {Object} { field: typical value }
+ */
+function typicalValues(data) {
+  const values = {};
+  findMissingFields(data).forEach(field => { values[field] = PRIORS.fields[field].typical; });
+  return values;
+}
+
+/**
+ * Impute missing covariates and measure how much they could move the estimate
+ * @param {Object} data - Normalized patient data
+ * @param {Function} scoreScenario - (data) => { outcome: { probability, logit, variance } or null }
+ * @returns {Object|null} null when nothing is missing, otherwise
+ *   { typicalData, imputed, ranges, impact, scenarioCount, sampled, priors }
+ */
+function imputeMissing(data, scoreScenario) {
+  const missing = findMissingFields(data);
+  if (missing.length === 0) return null;
+
+  const typical = typicalValues(data);
+  const typicalData = { ...data, ...typical };
+
+  // Joint range over all missing fields
+  const { scenarios, sampled } = buildScenarios(missing);
+  const scored = scenarios.map(scenario => ({
+    weight: scenario.weight,
+    outcomes: scoreScenario({ ...data, ...scenario.values })
+  }));
+
+  const ranges = {};
+  Object.keys(scored[0].outcomes).forEach(outcome => {
+    const points = scored
+      .filter(item => item.outcomes[outcome] !== null)
+      .map(item => ({ value: item.outcomes[outcome].probability, weight: item.weight }));
+    if (points.length === 0) return;
+    ranges[outcome] = {
+      low: weightedPercentile(points, LOW_PERCENTILE),
+      high: weightedPercentile(points, HIGH_PERCENTILE)
+    };
+  });
+
+  // One field at a time, others at their typical value
+  const impact = missing.map(field => {
+    const mortalities = PRIORS.fields[field].scenarios
+      .map(scenario => scoreScenario({ ...typicalData, [field]: scenario.value }).mortality)
+      .filter(value => value !== null)
+      .map(value => value.probability);
+    const low = Math.min(...mortalities);
+    const high = Math.max(...mortalities);
+    return { field, typical: typical[field], low, high, spread: high - low };
+  }).sort((a, b) => b.spread - a.spread);
+
+  return {
+    typicalData,
+    imputed: missing.map(field => ({
+      field,
+      value: typical[field],
+      unit: PRIORS.fields[field].unit || null
+    })),
+    ranges,
+    impact,
+    scenarioCount: scenarios.length,
+    sampled,
+    priors: { id: PRIORS.id, version: PRIORS.version, source: PRIORS.source }
+  };
+}
+
+module.exports = {
+  IMPUTED_FIELDS,
+  imputeMissing,
+  findMissingFields,
+  typicalValues,
+  samplePrior
+};
@@ -0,0 +1,466 @@
+/**
+ * STS Input Normalizer
+ * Maps the different vocabularies used by the extraction stage, the manual
+ * form and API callers onto one canonical patient schema (the Stage 1
+ * extraction schema in routes/sts.js) before any model runs.
+ *
+ * - Aliased field names are renamed (e.g. "copd" → chronicLungDisease,
+ *   "peripheralVascularDisease" → pvd, "priorCardiacSurgery" → surgeryIncidence)
+ * - Enum spellings are mapped to the schema value (e.g. "emergency" → "Emergent",
+ *   3 → "Class III", "≤6 hrs" → "≤ 6 Hrs")
+ * - Numbers and booleans sent as strings by the form are coerced
+ * - Creatinine, height and weight accept units (µmol/L, in / ft, lb) and are
+ *   converted to mg/dL, cm and kg
+ *
+ * Anything that cannot be mapped is reported in `unmapped` instead of being
+ * dropped silently.
+ */
+
+const NUMBER_FIELDS = [
+  'age', 'height', 'weight', 'bmi', 'bsa',
+  'creatinine', 'creatinineClearance', 'egfr',
+  'hematocrit', 'wbc', 'platelets',
+  'ejectionFraction', 'pulmonaryArterySystolicPressure'
+];
+
+/**
+ * Accepted units for numeric fields, converted to the canonical unit.
+ * A value with no unit is taken to be in the canonical unit already.
+ */
+const UNITS = {
+  creatinine: {
+    canonical: 'mg/dL',
+    decimals: 2,
+    units: {
+      'mg/dl': { factor: 1 },
+      'µmol/l': { divisor: 88.42 },
+      'μmol/l': { divisor: 88.42 },
+      'umol/l': { divisor: 88.42 }
+    }
+  },
+  height: {
+    canonical: 'cm',
+    decimals: 1,
+    units: {
+      cm: { factor: 1 },
+      m: { factor: 100 },
+      in: { factor: 2.54 },
+      inch: { factor: 2.54 },
+      inches: { factor: 2.54 },
+      '"': { factor: 2.54 },
+      ft: { factor: 30.48 },
+      feet: { factor: 30.48 }
+    }
+  },
+  weight: {
+    canonical: 'kg',
+    decimals: 1,
+    units: {
+      kg: { factor: 1 },
+      lb: { factor: 0.45359237 },
+      lbs: { factor: 0.45359237 },
+      pound: { factor: 0.45359237 },
+      pounds: { factor: 0.45359237 }
+    }
+  }
+};
+
+const BOOLEAN_FIELDS = [
+  'medACEInhibitors', 'medGPInhibitor', 'medInotropes', 'medSteroids', 'medADPInhibitors',
+  'familyHxCAD', 'hypertension', 'liverDisease', 'mediastinalRadiation', 'unresponsiveState',
+  'dialysis', 'cancer', 'syncope', 'immunocompromised',
+  'recentPneumonia', 'sleepApnea', 'homeOxygen',
+  'pvd', 'priorCarotidSurgery', 'rightCarotidStenosis', 'leftCarotidStenosis',
+  'cardiogenicShock', 'resuscitation', 'pulmonaryHypertension',
+  'leftMainStenosis', 'proximalLADStenosis',
+  'aorticStenosis', 'mitralStenosis', 'aorticRootAbscess',
+  'previousCABG', 'previousValve', 'previousPCI',
+  // EuroSCORE II inputs with no STS equivalent
+  'poorMobility', 'criticalPreopState', 'extracardiacArteriopathy',
+  'ccsClass4Angina', 'miWithin90Days', 'thoracicAortaSurgery'
+];
+
+const STRING_FIELDS = ['race', 'payor'];
+
+const VALVE_GRADES = ['None', 'Trivial/Trace', 'Mild', 'Moderate', 'Severe'];
+const ARRHYTHMIA_TIMING = ['None', 'Remote', 'Recent'];
+
+/**
+ * Canonical enum values per field. `synonyms` keys are compared after
+ * squash() (lowercase, no spaces/punctuation); `whenTrue` is used for a
+ * boolean true where the schema only says "present, subtype unknown".
+ */
+const ENUM_FIELDS = {
+  procedureType: {
+    values: ['Isolated CABG', 'Isolated AVR', 'Isolated MVR', 'AVR + CABG', 'MVR + CABG',
+      'MV Repair', 'MV Repair for Primary MR', 'MV Repair + CABG'],
+    synonyms: {
+      cabg: 'Isolated CABG',
+      coronaryarterybypassgrafting: 'Isolated CABG',
+      avr: 'Isolated AVR',
+      aorticvalvereplacement: 'Isolated AVR',
+      mvr: 'Isolated MVR',
+      mitralvalvereplacement: 'Isolated MVR',
+      mitralvalverepair: 'MV Repair',
+      mvrepairanyetiology: 'MV Repair',
+      cabgavr: 'AVR + CABG',
+      cabgmvr: 'MVR + CABG',
+      mitralvalverepaircabg: 'MV Repair + CABG',
+      cabgmvrepair: 'MV Repair + CABG'
+    }
+  },
+  surgeryIncidence: {
+    values: ['First CV surgery', 'ReOp#1', 'ReOp#2', 'ReOp#3', 'ReOp≥4'],
+    synonyms: {
+      first: 'First CV surgery',
+      firstcardiacsurgery: 'First CV surgery',
+      primary: 'First CV surgery',
+      reop: 'ReOp#1',
+      redo: 'ReOp#1',
+      reoperation: 'ReOp#1',
+      yes: 'ReOp#1',
+      no: 'First CV surgery',
+      reop4: 'ReOp≥4'
+    },
+    whenTrue: 'ReOp#1'
+  },
+  priority: {
+    values: ['Elective', 'Urgent', 'Emergent', 'Emergent Salvage'],
+    synonyms: {
+      emergency: 'Emergent',
+      salvage: 'Emergent Salvage',
+      emergencysalvage: 'Emergent Salvage'
+    }
+  },
+  gender: {
+    values: ['Male', 'Female'],
+    synonyms: { m: 'Male', man: 'Male', f: 'Female', woman: 'Female' }
+  },
+  diabetes: {
+    values: ['No', 'Yes, Diet Only', 'Yes, Oral', 'Yes, Insulin', 'Yes, Other SubQ', 'Yes, Other Control', 'Yes, Unknown Control'],
+    synonyms: {
+      none: 'No',
+      yes: 'Yes, Unknown Control',
+      yesunknown: 'Yes, Unknown Control',
+      other: 'Yes, Other Control',
+      diet: 'Yes, Diet Only',
+      dietonly: 'Yes, Diet Only',
+      oral: 'Yes, Oral',
+      insulin: 'Yes, Insulin',
+      insulindependent: 'Yes, Insulin',
+      iddm: 'Yes, Insulin',
+      niddm: 'Yes, Oral'
+    },
+    whenTrue: 'Yes, Unknown Control'
+  },
+  endocarditis: {
+    values: ['No', 'Yes, treated', 'Yes, active', 'Yes, unknown'],
+    synonyms: { none: 'No', yes: 'Yes, unknown', treated: 'Yes, treated', active: 'Yes, active' },
+    whenTrue: 'Yes, unknown'
+  },
+  illicitDrugUse: {
+    values: ['No', 'Yes', 'Unknown']
+  },
+  alcoholUse: {
+    values: ['None', '≤ 1 drink/week', '2-7 drinks/week', '≥ 8 drinks/week'],
+    synonyms: { no: 'None' }
+  },
+  tobaccoUse: {
+    values: ['Never smoker', 'Current smoker', 'Former smoker'],
+    synonyms: { never: 'Never smoker', no: 'Never smoker', current: 'Current smoker', former: 'Former smoker', exsmoker: 'Former smoker' }
+  },
+  chronicLungDisease: {
+    values: ['No', 'Mild', 'Moderate', 'Severe', 'Severity Unknown'],
+    synonyms: { none: 'No', yes: 'Severity Unknown', unknown: 'Severity Unknown' },
+    whenTrue: 'Severity Unknown'
+  },
+  cerebrovascularDisease: {
+    values: ['No', 'CVA ≤ 30 days', 'CVA > 30 days', 'TIA', 'Other CVD'],
+    synonyms: { none: 'No', cva30days: 'CVA ≤ 30 days', yes: 'Other CVD' },
+    whenTrue: 'Other CVD'
+  },
+  heartFailure: {
+    values: ['None', 'Yes - Acute', 'Yes - Chronic', 'Yes - Both', 'Yes - Unknown'],
+    synonyms: { no: 'None', yes: 'Yes - Unknown', acute: 'Yes - Acute', chronic: 'Yes - Chronic', both: 'Yes - Both' },
+    whenTrue: 'Yes - Unknown'
+  },
+  nyhaClass: {
+    values: ['Class I', 'Class II', 'Class III', 'Class IV'],
+    synonyms: {
+      1: 'Class I', i: 'Class I', class1: 'Class I', nyhai: 'Class I', nyha1: 'Class I',
+      2: 'Class II', ii: 'Class II', class2: 'Class II', nyhaii: 'Class II', nyha2: 'Class II',
+      3: 'Class III', iii: 'Class III', class3: 'Class III', nyhaiii: 'Class III', nyha3: 'Class III',
+      4: 'Class IV', iv: 'Class IV', class4: 'Class IV', nyhaiv: 'Class IV', nyha4: 'Class IV'
+    }
+  },
+  primaryCoronarySymptom: {
+    values: ['No coronary symptoms', 'Stable Angina', 'Unstable Angina', 'Non-ST Elevation MI', 'STEMI'],
+    synonyms: { none: 'No coronary symptoms', nstemi: 'Non-ST Elevation MI' }
+  },
+  miTiming: {
+    values: ['No MI', '≤ 6 Hrs', '>6 Hrs but <24 Hrs', '1 to 7 Days', '8 to 21 Days', '> 21 Days'],
+    synonyms: { none: 'No MI', no: 'No MI', '<6hrs': '≤ 6 Hrs', '6to24hrs': '>6 Hrs but <24 Hrs', '<24hrs': '>6 Hrs but <24 Hrs', '17days': '1 to 7 Days', '821days': '8 to 21 Days' }
+  },
+  numberOfDiseasedVessels: {
+    values: ['None', 'One', 'Two', 'Three'],
+    synonyms: { 0: 'None', 1: 'One', 2: 'Two', 3: 'Three' }
+  },
+  aorticRegurgitation: { values: VALVE_GRADES, synonyms: { trivial: 'Trivial/Trace', trace: 'Trivial/Trace', no: 'None' } },
+  mitralRegurgitation: { values: VALVE_GRADES, synonyms: { trivial: 'Trivial/Trace', trace: 'Trivial/Trace', no: 'None' } },
+  tricuspidRegurgitation: { values: VALVE_GRADES, synonyms: { trivial: 'Trivial/Trace', trace: 'Trivial/Trace', no: 'None' } },
+  atrialFibrillation: { values: ARRHYTHMIA_TIMING, synonyms: { no: 'None' } },
+  atrialFlutter: { values: ARRHYTHMIA_TIMING, synonyms: { no: 'None' } },
+  ventricularArrhythmia: { values: ARRHYTHMIA_TIMING, synonyms: { no: 'None' } }
+};
+
+/**
+ * Alternative field names. `convert` turns the alias value into the canonical
+ * field's value before the usual coercion. An alias only fills a canonical
+ * field that is absent or negative (false / "No"), so a positive alias flag
+ * is never lost.
+ */
+const FIELD_ALIASES = {
+  sex: { field: 'gender' },
+  procedure: { field: 'procedureType' },
+  status: { field: 'priority' },
+  urgency: { field: 'priority' },
+  ef: { field: 'ejectionFraction' },
+  lvef: { field: 'ejectionFraction' },
+  peripheralVascularDisease: { field: 'pvd' },
+  leftMainDisease: { field: 'leftMainStenosis' },
+  copdSeverity: { field: 'chronicLungDisease' },
+  copd: { field: 'chronicLungDisease' },
+  chf: { field: 'heartFailure' },
+  reoperation: { field: 'surgeryIncidence' },
+  priorCardiacSurgery: { field: 'surgeryIncidence' },
+  priorStroke: { field: 'cerebrovascularDisease', convert: value => (isTrue(value) ? 'CVA > 30 days' : value) },
+  recentMI: { field: 'miTiming', convert: value => (isTrue(value) ? '8 to 21 Days' : value) },
+  iabp: { field: 'mechanicalSupport', convert: value => (isTrue(value) ? 'IABP' : value) },
+  previousCardiacSurgery: { field: 'surgeryIncidence' },
+  rootAbscess: { field: 'aorticRootAbscess' },
+  unresponsive: { field: 'unresponsiveState' },
+  immunosuppression: { field: 'immunocompromised' },
+  numDiseasedVessels: { field: 'numberOfDiseasedVessels' },
+  smoker: { field: 'tobaccoUse' },
+  diabetesControl: { field: 'diabetes' },
+  pasp: { field: 'pulmonaryArterySystolicPressure' },
+  criticalPreoperativeState: { field: 'criticalPreopState' }
+};
+
+const TRUE_STRINGS = ['true', 'yes', 'y', '1', 'present', 'positive'];
+const FALSE_STRINGS = ['false', 'no', 'n', '0', 'none', 'absent', 'negative'];
+const EMPTY_STRINGS = ['', 'null', 'n/a', 'na', 'not documented'];
+
+function squash(value) {
+  return value.toString().toLowerCase().replace(/[^a-z0-9<>≤≥]/g, '');
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && EMPTY_STRINGS.includes(value.trim().toLowerCase()));
+}
+
+function isTrue(value) {
+  return value === true || (typeof value === 'string' && TRUE_STRINGS.includes(value.trim().toLowerCase()));
+}
+
+// Enum values that state a finding is absent; an alias may replace them
+const NONE_VALUES = ['No', 'None', 'No MI', 'No coronary symptoms'];
+
+/**
+ * Absent, false or an explicit "No"/"None" - never another enum value, so an
+ * alias cannot turn a stated "Male" or "Isolated CABG" into something else
+ */
+function isNegative(value) {
+  return value === undefined || value === null || value === false || NONE_VALUES.includes(value);
+}
+
+/**
+ * Canonical field a name maps to (an alias's target, otherwise the name)
+ */
+function canonicalField(name) {
+  return FIELD_ALIASES[name] ? FIELD_ALIASES[name].field : name;
+}
+
+/**
+ * Parse a numeric field that has units ("106 µmol/L", "5'10\"", { value: 180, unit: 'lb' })
+ * @returns {Object} { value, conversion } or { error }
+ */
+function toCanonicalUnit(field, value) {
+  const spec = UNITS[field];
+  let amount;
+  let unit;
+
+  if (typeof value === 'object') {
+    amount = toNumber(value.value);
+    unit = (value.unit || '').toString();
+  } else if (typeof value === 'number') {
+    amount = value;
+    unit = '';
+  } else {
+    const feetInches = value.trim().match(/^(\d+(?:\.\d+)?)\s*(?:'|ft|feet)\s*(?:(\d+(?:\.\d+)?)\s*(?:"|in|inches)?)?$/i);
+    if (field === 'height' && feetInches) {
+      const inches = parseFloat(feetInches[1]) * 12 + parseFloat(feetInches[2] || 0);
+      const cm = round(inches * 2.54, spec.decimals);
+      return {
+        value: cm,
+        conversion: { field, original: value.trim(), value: cm, unit: spec.canonical, calculation: `${inches} in × 2.54` }
+      };
+    }
+    const match = value.trim().replace(',', '.').match(/^(-?\d+(?:\.\d+)?)\s*(.*)$/);
+    amount = match ? parseFloat(match[1]) : null;
+    unit = match ? match[2] : '';
+  }
+
+  if (amount === null) return { error: 'not a number' };
+
+  const unitKey = unit.trim().toLowerCase().replace(/\.$/, '');
+  if (!unitKey || unitKey === spec.canonical.toLowerCase()) return { value: amount };
+
+  const rule = spec.units[unitKey];
+  if (!rule) {
+    return { error: `unknown unit "${unit.trim()}" (accepted: ${Object.keys(spec.units).join(', ')})` };
+  }
+
+  const converted = round(rule.divisor ? amount / rule.divisor : amount * rule.factor, spec.decimals);
+  return {
+    value: converted,
+    conversion: {
+      field,
+      original: `${amount} ${unit.trim()}`,
+      value: converted,
+      unit: spec.canonical,
+      calculation: rule.divisor ? `${amount} ÷ ${rule.divisor}` : `${amount} × ${rule.factor}`
+    }
+  };
+}
+
+function round(value, decimals) {
+  const scale = Math.pow(10, decimals);
+  return Math.round(value * scale) / scale;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  const match = value.toString().replace(',', '.').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  const lower = value.toString().trim().toLowerCase();
+  if (TRUE_STRINGS.includes(lower)) return true;
+  if (FALSE_STRINGS.includes(lower)) return false;
+  return null;
+}
+
+function toEnum(field, value) {
+  const spec = ENUM_FIELDS[field];
+  if (value === false) return spec.values[0];
+  if (value === true) return spec.whenTrue || null;
+
+  const key = squash(value);
+  const exact = spec.values.find(candidate => squash(candidate) === key);
+  if (exact) return exact;
+  if (spec.synonyms && spec.synonyms[key]) return spec.synonyms[key];
+  return null;
+}
+
+function toMechanicalSupport(value) {
+  if (value === true) return 'Yes, type unknown';
+  const lower = value.toString().trim().toLowerCase();
+  if (value === false || FALSE_STRINGS.includes(lower)) return null;
+  if (TRUE_STRINGS.includes(lower)) return 'Yes, type unknown';
+  return value.toString().trim();
+}
+
+/**
+ * Coerce one value for a canonical field
+ * @returns {Object} { value } on success, { error } when it cannot be mapped
+ */
+function coerceField(field, value) {
+  if (UNITS[field]) {
+    return toCanonicalUnit(field, value);
+  }
+  if (NUMBER_FIELDS.includes(field)) {
+    const number = toNumber(value);
+    return number === null ? { error: 'not a number' } : { value: number };
+  }
+  if (BOOLEAN_FIELDS.includes(field)) {
+    const bool = toBoolean(value);
+    return bool === null ? { error: 'not a yes/no value' } : { value: bool };
+  }
+  if (ENUM_FIELDS[field]) {
+    const mapped = toEnum(field, value);
+    return mapped === null
+      ? { error: `expected one of: ${ENUM_FIELDS[field].values.join(', ')}` }
+      : { value: mapped };
+  }
+  if (field === 'mechanicalSupport') {
+    return { value: toMechanicalSupport(value) };
+  }
+  if (STRING_FIELDS.includes(field)) {
+    return { value: value.toString().trim() };
+  }
+  return { error: 'unknown field' };
+}
+
+/**
+ * Normalize structured patient data onto the canonical STS schema
+ * @param {Object} rawData - Patient data from extraction, the manual form or an API caller
+ * @returns {Object} { data, unmapped, aliases }
+ *   - data: canonical patient object (only fields that could be mapped)
+ *   - unmapped: [{ field, value, reason, target }] raw values that were not used
+ *     (target: the canonical field the value was meant for)
+ *   - aliases: [{ from, to }] alias fields that were renamed
+ *   - conversions: [{ field, original, value, unit, calculation }] unit conversions applied
+ */
+function normalizePatientData(rawData) {
+  const data = {};
+  const unmapped = [];
+  const aliases = [];
+  const conversions = [];
+
+  const entries = Object.entries(rawData || {});
+
+  // Canonical names first so an alias never overrides an explicit value;
+  // aliases in table order (copdSeverity before copd)
+  const aliasOrder = Object.keys(FIELD_ALIASES);
+  const ordered = entries.filter(([name]) => !FIELD_ALIASES[name])
+    .concat(entries.filter(([name]) => FIELD_ALIASES[name])
+      .sort(([a], [b]) => aliasOrder.indexOf(a) - aliasOrder.indexOf(b)));
+
+  ordered.forEach(([name, rawValue]) => {
+    if (isEmpty(rawValue)) return;
+
+    const alias = FIELD_ALIASES[name];
+    const field = alias ? alias.field : name;
+    const value = alias && alias.convert ? alias.convert(rawValue) : rawValue;
+
+    const coerced = coerceField(field, value);
+    if (coerced.error) {
+      unmapped.push({ field: name, value: rawValue, reason: coerced.error, target: field });
+      return;
+    }
+
+    // A present canonical value is at least as specific as the alias
+    if (alias && !isNegative(data[field])) return;
+    if (alias && isNegative(coerced.value) && data[field] !== undefined) return;
+    if (alias) aliases.push({ from: name, to: field });
+    if (coerced.conversion) conversions.push(coerced.conversion);
+    data[field] = coerced.value;
+  });
+
+  return { data, unmapped, aliases, conversions };
+}
+
+module.exports = {
+  normalizePatientData,
+  canonicalField,
+  UNITS,
+  NUMBER_FIELDS,
+  BOOLEAN_FIELDS,
+  ENUM_FIELDS
+};
@@ -0,0 +1,204 @@
+/**
+ * Reference-Case Comparison
+ * Scores the bundled reference patients (data/stsReferenceCases.json, or the
+ * file named by STS_REFERENCE_FILE) with calculateSTSRisk() and compares
+ * every outcome with the official STS calculator's output for that patient.
+ *
+ * - Deviation = model - official, in percentage points and relative to official
+ * - An outcome is within tolerance when |deviation| ≤ absolute points OR
+ *   ≤ relative × official (tolerance from the corpus file, per outcome,
+ *   or overridden by the caller)
+ * - Cases whose official outputs have not been entered yet are "pending" and
+ *   never compared
+ *
+ * Results are aggregated per model (model id, e.g. sts-avr+sts-concomitant-cabg).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateSTSRisk } = require('./stsCalculator');
+const { OUTCOMES } = require('./modelRegistry');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'stsReferenceCases.json');
+
+let cachedSummary = null;
+
+/**
+ * Read and check the reference corpus
+ * @param {string} file - Defaults to STS_REFERENCE_FILE or data/stsReferenceCases.json
+ */
+function loadReferenceCorpus(file = process.env.STS_REFERENCE_FILE || DEFAULT_FILE) {
+  const corpus = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!corpus.tolerance || !corpus.tolerance.default) {
+    throw new Error(`Reference corpus ${file}: "tolerance.default" is required`);
+  }
+  if (!Array.isArray(corpus.cases)) {
+    throw new Error(`Reference corpus ${file}: "cases" must be an array`);
+  }
+  const ids = new Set();
+  corpus.cases.forEach((item, index) => {
+    if (!item.id || ids.has(item.id)) {
+      throw new Error(`Reference corpus ${file}: cases[${index}] needs a unique id`);
+    }
+    ids.add(item.id);
+    if (!item.patient || typeof item.patient !== 'object') {
+      throw new Error(`Reference corpus ${file}: case ${item.id} has no patient`);
+    }
+    Object.entries(item.official || {}).forEach(([outcome, value]) => {
+      if (!OUTCOMES.includes(outcome)) {
+        throw new Error(`Reference corpus ${file}: case ${item.id} has an unknown outcome "${outcome}"`);
+      }
+      if (value !== null && typeof value !== 'number') {
+        throw new Error(`Reference corpus ${file}: case ${item.id} official ${outcome} must be a percent number or null`);
+      }
+    });
+  });
+
+  return { ...corpus, file };
+}
+
+/**
+ * Tolerance for one outcome: caller override, then the corpus per-outcome value, then the default
+ */
+function toleranceFor(corpus, outcome, override = {}) {
+  return {
+    ...corpus.tolerance.default,
+    ...((corpus.tolerance.outcomes || {})[outcome] || {}),
+    ...override
+  };
+}
+
+function round(value, decimals) {
+  return Number(value.toFixed(decimals));
+}
+
+function compareOutcome(modelValue, official, tolerance) {
+  const model = parseFloat(modelValue);
+  if (isNaN(model)) {
+    return { model: modelValue, official, absolute: null, relative: null, withinTolerance: false };
+  }
+  const absolute = model - official;
+  const relative = official > 0 ? absolute / official : null;
+  return {
+    model,
+    official,
+    absolute: round(absolute, 3),
+    relative: relative === null ? null : round(relative, 3),
+    withinTolerance: Math.abs(absolute) <= tolerance.absolute || (relative !== null && Math.abs(relative) <= tolerance.relative)
+  };
+}
+
+function compareCase(corpus, item, override) {
+  const result = calculateSTSRisk(item.patient, { intervals: false });
+  const base = {
+    id: item.id,
+    description: item.description || '',
+    procedureType: result.model ? result.model.procedure : item.patient.procedureType || null,
+    modelId: result.model ? result.model.id : null,
+    modelVersion: result.modelVersion || null,
+    calculatorVersion: item.calculatorVersion || null
+  };
+
+  if (result.blocked || !result.model) {
+    return { ...base, status: 'error', reason: result.blocked ? result.validation.errors.map(issue => issue.message).join('; ') : 'no model for this procedure', outcomes: {} };
+  }
+
+  const official = Object.entries(item.official || {}).filter(([, value]) => value !== null);
+  if (official.length === 0) {
+    return { ...base, status: 'pending', outcomes: {} };
+  }
+
+  const outcomes = {};
+  official.forEach(([outcome, value]) => {
+    outcomes[outcome] = compareOutcome(result[outcome], value, toleranceFor(corpus, outcome, override));
+  });
+  const withinTolerance = Object.values(outcomes).every(outcome => outcome.withinTolerance);
+  return { ...base, status: withinTolerance ? 'pass' : 'fail', outcomes };
+}
+
+/**
+ * Per model: case counts and, per outcome, mean/max absolute deviation and share within tolerance
+ */
+function aggregateByModel(cases) {
+  const models = {};
+  cases.forEach(item => {
+    const key = item.modelId || 'unscored';
+    if (!models[key]) {
+      models[key] = { modelVersion: item.modelVersion, cases: 0, compared: 0, pending: 0, failed: 0, outcomes: {} };
+    }
+    const model = models[key];
+    model.cases++;
+    if (item.status === 'pending') model.pending++;
+    if (item.status === 'pass' || item.status === 'fail') model.compared++;
+    if (item.status === 'fail' || item.status === 'error') model.failed++;
+
+    Object.entries(item.outcomes).forEach(([outcome, comparison]) => {
+      if (!model.outcomes[outcome]) model.outcomes[outcome] = { deviations: [], relatives: [], within: 0 };
+      const stats = model.outcomes[outcome];
+      if (comparison.absolute !== null) stats.deviations.push(Math.abs(comparison.absolute));
+      if (comparison.relative !== null) stats.relatives.push(Math.abs(comparison.relative));
+      if (comparison.withinTolerance) stats.within++;
+    });
+  });
+
+  Object.values(models).forEach(model => {
+    Object.entries(model.outcomes).forEach(([outcome, stats]) => {
+      const n = stats.deviations.length;
+      const mean = values => values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length, 3) : null;
+      model.outcomes[outcome] = {
+        n,
+        meanAbsoluteDeviation: mean(stats.deviations),
+        maxAbsoluteDeviation: n > 0 ? round(Math.max(...stats.deviations), 3) : null,
+        meanRelativeDeviation: mean(stats.relatives),
+        withinTolerance: stats.within
+      };
+    });
+  });
+  return models;
+}
+
+/**
+ * Compare every reference case with its official outputs
+ * @param {Object} corpus - From loadReferenceCorpus()
+ * @param {Object} options - { tolerance: { absolute, relative } } overrides the corpus tolerance for every outcome
+ * @returns {Object} { corpus, tolerance, cases, models, summary }
+ */
+function compareWithReference(corpus, options = {}) {
+  const override = options.tolerance || {};
+  const cases = corpus.cases.map(item => compareCase(corpus, item, override));
+  const count = status => cases.filter(item => item.status === status).length;
+
+  const tolerance = {};
+  OUTCOMES.forEach(outcome => { tolerance[outcome] = toleranceFor(corpus, outcome, override); });
+
+  return {
+    corpus: { id: corpus.id, version: corpus.version, status: corpus.status || null, source: corpus.source },
+    tolerance,
+    cases,
+    models: aggregateByModel(cases),
+    summary: {
+      cases: cases.length,
+      compared: count('pass') + count('fail'),
+      passed: count('pass'),
+      failed: count('fail'),
+      pending: count('pending'),
+      errors: count('error')
+    }
+  };
+}
+
+/**
+ * Comparison of the bundled corpus with its own tolerance, computed once per process
+ * (used by the report's Model Accuracy section)
+ */
+function getReferenceSummary() {
+  if (!cachedSummary) cachedSummary = compareWithReference(loadReferenceCorpus());
+  return cachedSummary;
+}
+
+module.exports = {
+  loadReferenceCorpus,
+  compareWithReference,
+  getReferenceSummary
+};
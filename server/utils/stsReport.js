@@ -0,0 +1,579 @@
+/**
+ * STS Report Builders
+ * Markdown shared by the web report (routes/sts.js) and the command-line
+ * scorer (bin/sts-score.js): the Manual Calculations tab, its helpers, and
+ * the prompt for the AI comparison stage. No LLM calls here.
+ */
+
+const { OUTCOME_LABELS } = require('./modelRegistry');
+
+/**
+ * Describe the model behind a calculateSTSRisk() result for the report header
+ */
+function formatModelHeader(mathResult) {
+  if (!mathResult.model) {
+    return '**Method:** not calculated (no STS model was applied)  ';
+  }
+  const model = mathResult.model;
+  return `**Model Version:** ${model.version} (effective ${model.effectiveDate})  
+**Method:** Logistic regression — ${model.source}  `;
+}
+
+/**
+ * Validation errors and warnings for the Manual Calculations tab
+ */
+function formatValidationIssues(mathResult) {
+  const { errors = [], warnings = [] } = mathResult.validation || {};
+  if (errors.length === 0 && warnings.length === 0) return '';
+
+  let section = '';
+  if (errors.length > 0) {
+    section += `**🛑 Input errors (${errors.length}) - calculation blocked:**\n\n`;
+    section += errors.map(issue => `- **${issue.field}**: ${issue.message}`).join('\n') + '\n\n';
+  }
+  if (warnings.length > 0) {
+    section += `**⚠️ Input warnings (${warnings.length}):**\n\n`;
+    section += warnings.map(issue => `- **${issue.field}**: ${issue.message}`).join('\n') + '\n\n';
+  }
+  return section;
+}
+
+/**
+ * Replacement for the estimates table when validation errors block the calculation
+ */
+function formatBlockedCalculation(mathResult) {
+  return `
+### 🛑 CALCULATION BLOCKED
+
+The mathematical model was not run because some inputs are outside the physiologically possible range. Correct them in the Patient Data tab and re-analyze.
+
+${formatValidationIssues(mathResult)}`;
+}
+
+/**
+ * Validation summary for the AI prompt
+ */
+function formatValidationForAI(mathResult) {
+  const { errors = [], warnings = [] } = mathResult.validation || {};
+  if (errors.length === 0 && warnings.length === 0) {
+    return '**Input Validation:** all values within plausible ranges';
+  }
+
+  let text = '**Input Validation:**\n';
+  if (mathResult.blocked) {
+    text += 'The mathematical calculation was BLOCKED because of impossible input values; the numbers above are not available. Point out the likely extraction error.\n';
+  }
+  errors.forEach(issue => { text += `- ERROR ${issue.field}: ${issue.message}\n`; });
+  warnings.forEach(issue => { text += `- WARNING ${issue.field}: ${issue.message}\n`; });
+  return text;
+}
+
+/**
+ * Extraction problems for the Patient Data tab: values dropped because they
+ * broke the extraction schema, values with no quote in the notes, and where
+ * the rule-based extractor disagrees (or was used instead of the LLM)
+ * @param {Object} extraction - extractForAnalysis() result (utils/stsExtraction.js)
+ */
+function formatExtractionReview({ needsReview = [], unsupported = [], method = 'llm', fallback = null, crossCheck = null } = {}) {
+  let section = '';
+  if (method === 'rules') {
+    section += `**⚙️ Rule-based extraction** (${fallback ? `the LLM extraction was unusable: ${fallback}` : 'offline mode'}) - only the high-yield fields the rules cover were read from the notes; everything else is unknown. Review each value and complete the form.\n\n`;
+  }
+  if (crossCheck && crossCheck.disagreements.length > 0) {
+    section += `**⚖️ Rules disagree (${crossCheck.disagreements.length}) - the rule-based extractor read these differently; the LLM values are used:**\n\n${crossCheck.disagreements.map(item => `- **${item.field}**: LLM ${item.llm}, rules ${item.rules} ("${item.quote}")`).join('\n')}\n\n`;
+  }
+  if (crossCheck && crossCheck.rulesOnly.length > 0) {
+    section += `**➕ Found only by the rules (${crossCheck.rulesOnly.length}) - not in the LLM answer, so not used:**\n\n${crossCheck.rulesOnly.map(item => `- **${item.field}** = ${item.rules} ("${item.quote}")`).join('\n')}\n\n`;
+  }
+  if (needsReview.length > 0) {
+    section += `**🔍 Needs review (${needsReview.length}) - extracted values that were not accepted and were left out:**\n\n${needsReview.map(issue => `- **${issue.field}**: ${issue.message.replace(`${issue.field}: `, '')}`).join('\n')}\n\n`;
+  }
+  if (unsupported.length > 0) {
+    section += `**❓ No evidence in the notes (${unsupported.length}) - possibly hallucinated, check before relying on them:**\n\n${unsupported.map(item => `- **${item.field}** = ${item.value}: ${item.reason === 'no_evidence' ? 'no supporting quote' : `quote "${item.quote}" not found`}`).join('\n')}\n\n`;
+  }
+  return section;
+}
+
+/**
+ * Review queue for the Patient Data tab (see utils/stsFieldConfidence.js)
+ */
+function formatReviewQueue(reviewQueue = []) {
+  if (reviewQueue.length === 0) return '';
+  let section = `**🩺 Review queue (${reviewQueue.length}) - confirm these values before relying on the estimates:**\n\n`;
+  section += `| Field | Value | Confidence | Why | Without this value |\n|---|---|---|---|---|\n`;
+  reviewQueue.forEach(item => {
+    const why = item.why.map(reason => reason === 'rules disagree' ? `rules disagree (rules: ${item.rulesValue})` : reason);
+    section += `| **${item.field}** | ${item.value} | ${item.level} (${item.reason}${item.note ? `; ${item.note}` : ''}) | ${why.join(', ')} | ${item.mortalityEffect !== null ? `changes PROM by ${item.mortalityEffect} pts` : '-'} |\n`;
+  });
+  return section + '\n';
+}
+
+/**
+ * Manual Calculations card: which values a clinician confirmed or edited and
+ * which come from the extraction alone
+ * @param {Array} provenance - buildProvenance() rows
+ */
+function formatProvenance(provenance = []) {
+  if (provenance.length === 0) return '';
+  const count = source => provenance.filter(item => item.source === source).length;
+  let section = `\n### 🧾 DATA PROVENANCE\n\n`;
+  section += `**Human-confirmed:** ${count('human-confirmed')} · **Human-edited:** ${count('human-edited')} · **Machine-only:** ${count('machine-only')}\n\n`;
+  section += `| Field | Value | Source | Extraction Confidence |\n|---|---|---|---|\n`;
+  provenance.forEach(item => {
+    const source = { 'human-confirmed': '✅ Human-confirmed', 'human-edited': '✏️ Human-edited', 'machine-only': '🤖 Machine-only' }[item.source];
+    section += `| ${item.field} | ${item.value} | ${source} | ${item.level ? `${item.level} (${item.reason})` : '-'} |\n`;
+  });
+  return section + '\n';
+}
+
+/**
+ * Extraction problems for the AI prompt
+ */
+function formatExtractionReviewForAI({ needsReview = [], unsupported = [], method = 'llm', crossCheck = null } = {}) {
+  let text = '';
+  if (method === 'rules') {
+    text += `**Rule-Based Extraction:** the patient data was read by pattern rules, not a language model; they cover only the high-yield fields, so other risk factors in the notes may be missing from the calculation. Name any that would change the risk.\n`;
+  }
+  if (crossCheck && crossCheck.disagreements.length > 0) {
+    text += `**Extraction Cross-Check:** a rule-based extractor read these fields differently (the first value was used). Say which reading the notes support and how the other would change the risk.\n${crossCheck.disagreements.map(item => `- ${item.field}: ${item.llm} (rules: ${item.rules}, from "${item.quote}")`).join('\n')}\n`;
+  }
+  if (needsReview.length > 0) {
+    text += `**Fields Needing Review:** the extraction gave values outside the allowed formats for these fields; they were left out of the calculation. Say whether the notes suggest a value that would change the risk.\n${needsReview.map(issue => `- ${issue.message}`).join('\n')}\n`;
+  }
+  if (unsupported.length > 0) {
+    text += `**Unsupported Values:** no quote in the notes backs these extracted values, so they may be hallucinated. Say which ones, if wrong, would change the risk most.\n${unsupported.map(item => `- ${item.field} = ${item.value}`).join('\n')}\n`;
+  }
+  return text;
+}
+
+/**
+ * Imputed fields, plausible ranges and the missing data that matters most
+ */
+function formatImputationSummary(mathResult) {
+  const imputation = mathResult.imputation;
+  if (!imputation) return '';
+
+  let section = `**🧩 Missing data imputed from population priors:** ${imputation.imputed.map(item => `${item.field} = ${item.value}${item.unit ? ' ' + item.unit : ''}`).join(', ')}  \n`;
+  section += `*Ranges are the 10th-90th percentile over ${imputation.scenarioCount} ${imputation.sampled ? 'sampled ' : ''}prior scenarios (${imputation.priors.id} ${imputation.priors.version}).*\n\n`;
+  section += `| Outcome | Estimate | Plausible Range |\n|---|---|---|\n`;
+  Object.entries(mathResult.ranges || {}).forEach(([outcome, range]) => {
+    section += `| ${OUTCOME_LABELS[outcome] || outcome} | ${mathResult[outcome]}% | ${range.low}% - ${range.high}% |\n`;
+  });
+
+  section += `\n**📌 Data to chase (largest effect on mortality first):**\n\n`;
+  imputation.mostInfluentialMissing.forEach((item, index) => {
+    section += `${index + 1}. **${item.field}** - mortality ${item.mortalityLow}% to ${item.mortalityHigh}% depending on its value (range ${item.spread} points)\n`;
+  });
+  return section + '\n';
+}
+
+/**
+ * Extracted fields that the scoring model does not use
+ */
+function formatUnusedFields(mathResult) {
+  const unused = mathResult.unusedFields || [];
+  if (unused.length === 0) return '';
+  return `**🗂️ Extracted but not used by the ${mathResult.modelVersion} model (${unused.length}):** ${unused.map(item => `${item.field} (${item.value})`).join(', ')}\n\n`;
+}
+
+/**
+ * Category cell for one outcome; High is marked because it is flagged on its own
+ */
+function formatCategory(mathResult, outcome) {
+  const category = mathResult.riskCategories && mathResult.riskCategories[outcome];
+  if (!category) return '-';
+  return mathResult.riskFlags.some(flag => flag.outcome === outcome) ? `⚠️ ${category}` : category;
+}
+
+/**
+ * Outcomes categorised High on their own thresholds, and the thresholds used
+ */
+function formatRiskFlags(mathResult) {
+  const thresholds = mathResult.riskThresholds;
+  if (!thresholds) return '';
+  const flags = mathResult.riskFlags.length > 0
+    ? mathResult.riskFlags.map(flag => `${OUTCOME_LABELS[flag.outcome]} ${flag.value}% (${flag.category}; cutoffs ${flag.cutoffs.join('/')}%)`).join(', ')
+    : 'none';
+  const overrides = thresholds.overrides.length > 0 ? `, ${thresholds.procedure} cutoffs for ${thresholds.overrides.join(', ')}` : '';
+  return `**Flagged Outcomes:** ${flags}  \n*Risk thresholds ${thresholds.version}${overrides}.*`;
+}
+
+/**
+ * 95% interval cell for one outcome ('-' when not calculated)
+ */
+function formatInterval(mathResult, outcome) {
+  const interval = mathResult.intervals && mathResult.intervals[outcome];
+  return interval ? `${interval.low}% - ${interval.high}%` : '-';
+}
+
+/**
+ * What the 95% intervals account for
+ */
+function formatUncertaintyNote(mathResult) {
+  const uncertainty = mathResult.uncertainty;
+  if (!uncertainty) return '';
+  const inputs = uncertainty.inputs.map(input => `${input.field} (${input.source})`).join(', ');
+  return `*95% intervals: model coefficient uncertainty${inputs ? ` + Monte Carlo over ${inputs}, ${uncertainty.draws} draws` : ''}.*`;
+}
+
+/**
+ * Model Accuracy section of the methodology: how the model that scored this
+ * patient compares with the official STS calculator on the reference corpus
+ * @param {Object} reference - From getReferenceSummary() (utils/stsReference.js)
+ * @param {Object} mathResult - calculateSTSRisk() result
+ */
+function formatModelAccuracy(reference, mathResult) {
+  const { corpus, summary } = reference;
+  let section = `### Model Accuracy\n\n`;
+  section += `Reference corpus ${corpus.id} (${corpus.version}): ${summary.cases} cases, ${summary.compared} compared with the official STS calculator (${summary.passed} within tolerance, ${summary.failed} outside), ${summary.pending} pending official outputs.\n\n`;
+
+  const modelId = mathResult.model && mathResult.model.id;
+  const model = modelId && reference.models[modelId];
+  if (!modelId) {
+    return section + `*Not calculated - no STS model was applied to this patient.*\n\n`;
+  }
+  if (!model) {
+    return section + `*The ${modelId} model has no reference cases - its accuracy against the official calculator is unverified.*\n\n`;
+  }
+  if (model.compared === 0) {
+    return section + `*No official outputs have been entered yet for the ${model.cases} ${modelId} reference case(s) - the accuracy of this model against the official calculator is unverified.*\n\n`;
+  }
+
+  section += `**${modelId}** (${model.compared} of ${model.cases} cases compared):\n\n`;
+  section += `| Outcome | Cases | Mean Deviation | Max Deviation | Within Tolerance |\n|---|---|---|---|---|\n`;
+  Object.entries(model.outcomes).forEach(([outcome, stats]) => {
+    const tolerance = reference.tolerance[outcome];
+    section += `| ${OUTCOME_LABELS[outcome] || outcome} | ${stats.n} | ${stats.meanAbsoluteDeviation} pts | ${stats.maxAbsoluteDeviation} pts | ${stats.withinTolerance}/${stats.n} (±${tolerance.absolute} pts or ±${Math.round(tolerance.relative * 100)}%) |\n`;
+  });
+  return section + '\n';
+}
+
+/**
+ * One EuroSCORE-only input: its value and where it came from
+ */
+function formatEuroScoreInput(input) {
+  if (input.status === 'provided') return `${input.value === true ? 'Yes' : input.value === false ? 'No' : input.value} (documented)`;
+  if (input.status === 'derived') return `${input.value === true ? 'Yes' : input.value} (derived from ${input.from.join(', ')})`;
+  return 'Not documented - scored as absent';
+}
+
+/**
+ * Difference between the two mortality estimates in percentage points
+ */
+function formatModelDisagreement(mathResult, euroResult) {
+  const sts = parseFloat(mathResult.mortality);
+  const euro = parseFloat(euroResult.mortality);
+  if (isNaN(sts) || isNaN(euro)) return '-';
+  const difference = euro - sts;
+  const ratio = sts > 0 ? ` (${(euro / sts).toFixed(1)}× STS)` : '';
+  return `${difference > 0 ? '+' : ''}${difference.toFixed(2)} points${ratio}`;
+}
+
+/**
+ * Manual Calculations card for the second model: the EuroSCORE II mortality
+ * next to STS PROM, and the inputs STS does not collect
+ * @param {Object} mathResult - calculateSTSRisk() result
+ * @param {Object} euroResult - calculateEuroScoreII() result
+ */
+function formatEuroScoreCard(mathResult, euroResult) {
+  let output = `---\n\n### 🇪🇺 EUROSCORE II (SECOND MODEL)\n\n`;
+  output += `**Model:** EuroSCORE II ${euroResult.modelVersion} (${euroResult.model.id})  \n**Source:** ${euroResult.model.source}\n\n`;
+  if (euroResult.mortality === null) {
+    output += `*Not calculated: ${euroResult.blocked ? 'the patient data failed validation' : 'age is required'}.*\n\n`;
+    return output;
+  }
+
+  output += `| MODEL | PREDICTED MORTALITY |\n|---|---|\n`;
+  output += `| **EuroSCORE II** (in-hospital) | **${euroResult.mortality}%** |\n`;
+  output += `| STS PROM (operative) | ${mathResult.mortality}% |\n`;
+  output += `| Difference (EuroSCORE II - STS) | ${formatModelDisagreement(mathResult, euroResult)} |\n\n`;
+
+  output += `#### Inputs STS does not collect\n\n| EuroSCORE II Input | Value |\n|---|---|\n`;
+  euroResult.inputs.forEach(input => {
+    output += `| ${input.label} | ${formatEuroScoreInput(input)} |\n`;
+  });
+  if (euroResult.missingFields.length > 0) {
+    output += `\n**Shared inputs not documented (scored at the lowest-risk level):** ${euroResult.missingFields.join(', ')}\n`;
+  }
+  output += `\n*The two models differ in outcome definition (in-hospital vs 30-day operative mortality), development cohort and covariates; a difference of a few points is expected.*\n\n`;
+  return output;
+}
+
+/**
+ * Second-model summary for the AI comparison prompt
+ */
+function formatEuroScoreForAI(mathResult, euroResult) {
+  if (!euroResult || euroResult.mortality === null) return '';
+  const byStatus = status => euroResult.inputs.filter(input => input.status === status);
+  const describe = inputs => inputs.length > 0 ? inputs.map(input => `${input.label}: ${formatEuroScoreInput(input)}`).join('; ') : 'none';
+
+  return `
+**Second Model - EuroSCORE II ${euroResult.modelVersion}:**
+- Predicted in-hospital mortality: ${euroResult.mortality}% (STS PROM ${mathResult.mortality}%; difference ${formatModelDisagreement(mathResult, euroResult)})
+- EuroSCORE-only inputs documented or derived: ${describe(byStatus('provided').concat(byStatus('derived')))}
+- EuroSCORE-only inputs not documented (scored as absent): ${byStatus('missing').map(input => input.label).join(', ') || 'none'}
+`;
+}
+
+/**
+ * Prompt for the AI comparison stage: the structured data plus the manual
+ * calculation summary, asking for an independent assessment
+ * @param {Object} structuredData - Patient data that was scored
+ * @param {Object} mathResult - calculateSTSRisk() result
+ * @param {Object} options - { edited: true } when the data was manually edited,
+ *   { euroscore } a calculateEuroScoreII() result to compare against,
+ *   { extraction } the extractPatientData() result, for fields left out or without evidence
+ */
+function buildAIComparisonPrompt(structuredData, mathResult, { edited = false, euroscore = null, extraction = {} } = {}) {
+  const manualCalculationSummary = `
+**Manual Mathematical Model Results (ALL STS OUTCOMES):**
+
+| Outcome | Calculated Risk | 95% Interval | Category |
+|---|---|---|---|
+| Operative Mortality (PROM) | ${mathResult.mortality}% | ${formatInterval(mathResult, 'mortality')} | ${formatCategory(mathResult, 'mortality')} |
+| Morbidity & Mortality (PROMM) | ${mathResult.morbidity}% | ${formatInterval(mathResult, 'morbidity')} | ${formatCategory(mathResult, 'morbidity')} |
+${mathResult.stroke ? `| Stroke | ${mathResult.stroke}% | ${formatInterval(mathResult, 'stroke')} | ${formatCategory(mathResult, 'stroke')} |` : ''}
+${mathResult.renalFailure ? `| Renal Failure | ${mathResult.renalFailure} | ${formatInterval(mathResult, 'renalFailure')} | ${formatCategory(mathResult, 'renalFailure')} |` : ''}
+${mathResult.reoperation ? `| Reoperation | ${mathResult.reoperation}% | ${formatInterval(mathResult, 'reoperation')} | ${formatCategory(mathResult, 'reoperation')} |` : ''}
+${mathResult.prolongedVentilation ? `| Prolonged Ventilation | ${mathResult.prolongedVentilation}% | ${formatInterval(mathResult, 'prolongedVentilation')} | ${formatCategory(mathResult, 'prolongedVentilation')} |` : ''}
+${mathResult.deepSternalWoundInfection ? `| Deep Sternal Wound Infection | ${mathResult.deepSternalWoundInfection}% | ${formatInterval(mathResult, 'deepSternalWoundInfection')} | ${formatCategory(mathResult, 'deepSternalWoundInfection')} |` : ''}
+${mathResult.longHospitalStay ? `| Long Hospital Stay (>14d) | ${mathResult.longHospitalStay}% | ${formatInterval(mathResult, 'longHospitalStay')} | ${formatCategory(mathResult, 'longHospitalStay')} |` : ''}
+${mathResult.shortHospitalStay ? `| Short Hospital Stay (<6d) | ${mathResult.shortHospitalStay}% | ${formatInterval(mathResult, 'shortHospitalStay')} | ${formatCategory(mathResult, 'shortHospitalStay')} |` : ''}
+${formatUncertaintyNote(mathResult)}
+
+**Risk Category:** ${mathResult.riskCategory}
+${formatRiskFlags(mathResult)}
+**Model Type:** ${structuredData.procedureType || 'STS CABG'} Risk Model
+
+**Key Risk Factors:**
+${mathResult.detailedSteps ? mathResult.detailedSteps.filter(s => typeof s.coefficient === 'number' && s.variable !== 'Baseline Intercept').slice(0, 7).map(s => `- ${s.variable}: ${s.contribution}`).join('\n') : 'Detailed steps available'}
+
+${formatEuroScoreForAI(mathResult, euroscore)}
+${formatValidationForAI(mathResult)}
+${formatExtractionReviewForAI(extraction)}
+${formatImputationSummary(mathResult)}`;
+
+  return `You are a cardiac surgery risk assessment specialist. You have been provided with both patient data and the manual mathematical calculation results from the official STS risk model.
+
+**Patient Data (Structured${edited ? ' - MANUALLY EDITED' : ''}):**
+${JSON.stringify(structuredData, null, 2)}
+
+${manualCalculationSummary}
+
+Your task is to:
+1. **ANALYZE THE MANUAL CALCULATIONS**: Review the mathematically calculated risks
+2. **COMPARE WITH YOUR ASSESSMENT**: Provide your own clinical risk assessment
+3. **IDENTIFY DISCREPANCIES**: If your assessment differs from the manual calculation, explain why
+4. **VALIDATE OR QUESTION**: Do the manual calculations align with the patient's clinical picture?${euroscore && euroscore.mortality !== null ? `
+5. **STS VS EUROSCORE II**: Explain where and why the two models disagree` : ''}
+
+Provide your analysis in this format:
+
+### MANUAL CALCULATION REVIEW
+- Briefly summarize what the mathematical model calculated
+- State whether these numbers seem reasonable for this patient
+
+### YOUR INDEPENDENT ASSESSMENT
+- **Estimated Mortality Risk (PROM)**: X%
+- **Estimated Morbidity Risk (PROMM)**: X%
+- **Risk Category**: Low/Moderate/High
+- Brief clinical reasoning
+
+### COMPARISON & DISCREPANCY ANALYSIS
+- Compare your assessment with the manual calculation
+- Judge significance against the 95% intervals: a difference matters only when your estimate falls outside the calculated interval - if it does, explain the clinical reasons
+- Highlight any risk factors the mathematical model might have weighted differently
+${euroscore && euroscore.mortality !== null ? `
+### STS VS EUROSCORE II
+- State whether the two models agree on the level of risk
+- If they disagree, name the risk factors driving the difference (inputs only one model scores, different weights, undocumented EuroSCORE-only inputs) and say which estimate fits this patient better
+` : ''}
+### KEY RISK FACTORS & RECOMMENDATIONS
+- List major contributors to risk
+- Address every flagged outcome on its own, even when mortality risk is low
+- Perioperative considerations
+- Clinical recommendations
+
+Be specific, analytical, and highlight any important differences between the mathematical model and clinical judgment.`;
+}
+
+/**
+ * Step-by-step logistic regression calculation for one outcome
+ */
+function formatDetailedCalculation(steps, outcomeName, outcomeIcon) {
+  if (!steps || steps.length === 0) return '';
+  
+  let output = `---\n\n### ${outcomeIcon} DETAILED CALCULATION: ${outcomeName}\n\n`;
+  output += `This section shows the step-by-step mathematical calculation for **${outcomeName}** using logistic regression.\n\n`;
+  output += `**Formula:** P(outcome) = 1 / (1 + e^(-logit))  \n**Where:** logit = intercept + Σ(coefficient × risk_factor)\n\n`;
+  output += `---\n\n`;
+  output += `#### Risk Factor Contributions\n\n`;
+  output += `| Step | Risk Factor | Patient Value | Coefficient | Calculation | Logit Contribution |\n|---|---|---|---|---|---|\n`;
+  
+  let stepNum = 1;
+  let logitSum = 0;
+  let finalProbability = null;
+  
+  steps.forEach(s => {
+    // Skip the final transformation steps for now
+    if (s.variable.includes('TOTAL LOGIT')) {
+      logitSum = parseFloat(s.contribution);
+      return;
+    }
+    if (s.variable.includes('LOGISTIC TRANSFORMATION') || s.variable.includes('FINAL')) {
+      if (s.variable.includes('LOGISTIC TRANSFORMATION')) {
+        finalProbability = parseFloat(s.contribution);
+      }
+      return;
+    }
+    
+    // Format calculation field
+    let calcDisplay = s.calculation || '-';
+    if (!s.calculation && s.coefficient !== '-' && s.variable !== 'Baseline Intercept') {
+      calcDisplay = `${s.coefficient} × 1 = ${s.contribution}`;
+    } else if (s.variable === 'Baseline Intercept') {
+      calcDisplay = `Intercept = ${s.contribution}`;
+    }
+    
+    output += `| ${stepNum} | **${s.variable}** | ${s.value || 'N/A'} | ${s.coefficient} | ${calcDisplay} | **${s.contribution}** |\n`;
+    stepNum++;
+  });
+  
+  // Add summary steps
+  const totalLogitStep = steps.find(s => s.variable.includes('TOTAL LOGIT'));
+  if (totalLogitStep) {
+    output += `\n#### Total Logit (Sum of All Contributions)\n\n`;
+    output += `**Total Logit = ${totalLogitStep.contribution}**\n\n`;
+  }
+  
+  const logisticStep = steps.find(s => s.variable.includes('LOGISTIC TRANSFORMATION'));
+  if (logisticStep) {
+    output += `#### Logistic Transformation\n\n`;
+    output += `**P = 1 / (1 + e^(-${logitSum.toFixed(3)})) = ${finalProbability ? finalProbability.toFixed(6) : logisticStep.contribution}**\n\n`;
+  }
+  
+  const finalStep = steps.find(s => s.variable.includes('FINAL'));
+  if (finalStep) {
+    output += `#### Final Risk Estimate\n\n`;
+    output += `**${outcomeName} Risk = ${finalStep.contribution}**\n\n`;
+  }
+  
+  return output;
+}
+
+/**
+ * Markdown for the Manual Calculations tab: the estimates table, validation,
+ * imputation and the detailed calculation of every outcome
+ * @param {Object} structuredData - Patient data that was scored
+ * @param {Object} mathResult - calculateSTSRisk() result
+ * @param {Object} euroResult - calculateEuroScoreII() result (optional second-model card)
+ */
+function buildManualCalculationMarkdown(structuredData, mathResult, euroResult = null) {
+  // Clean table similar to official STS calculator
+  let mathTable = `
+### 🔬 CALCULATED PERIOPERATIVE RISK ESTIMATES
+
+**Model Type:** ${structuredData.procedureType || 'STS CABG'} Risk Model  
+${formatModelHeader(mathResult)}
+${formatValidationIssues(mathResult)}
+| PERIOPERATIVE OUTCOME | ESTIMATE % | 95% CI | CATEGORY |
+|---|---|---|---|
+| **Operative Mortality** | **${mathResult.mortality}%** | ${formatInterval(mathResult, 'mortality')} | ${formatCategory(mathResult, 'mortality')} |
+| **Morbidity & Mortality** | **${mathResult.morbidity || 'Not calculated'}%** | ${formatInterval(mathResult, 'morbidity')} | ${formatCategory(mathResult, 'morbidity')} |`;
+
+  // Add additional outcomes if available (CABG only)
+  if (mathResult.stroke) {
+    mathTable += `
+| **Stroke** | **${mathResult.stroke}%** | ${formatInterval(mathResult, 'stroke')} | ${formatCategory(mathResult, 'stroke')} |`;
+  }
+  
+  if (mathResult.renalFailure) {
+    mathTable += `
+| **Renal Failure** | **${mathResult.renalFailure}** | ${formatInterval(mathResult, 'renalFailure')} | ${formatCategory(mathResult, 'renalFailure')} |`;
+  }
+  
+  if (mathResult.reoperation) {
+    mathTable += `
+| **Reoperation** | **${mathResult.reoperation}%** | ${formatInterval(mathResult, 'reoperation')} | ${formatCategory(mathResult, 'reoperation')} |`;
+  }
+  
+  if (mathResult.prolongedVentilation) {
+    mathTable += `
+| **Prolonged Ventilation** | **${mathResult.prolongedVentilation}%** | ${formatInterval(mathResult, 'prolongedVentilation')} | ${formatCategory(mathResult, 'prolongedVentilation')} |`;
+  }
+  
+  if (mathResult.deepSternalWoundInfection) {
+    mathTable += `
+| **Deep Sternal Wound Infection** | **${mathResult.deepSternalWoundInfection}%** | ${formatInterval(mathResult, 'deepSternalWoundInfection')} | ${formatCategory(mathResult, 'deepSternalWoundInfection')} |`;
+  }
+  
+  if (mathResult.longHospitalStay) {
+    mathTable += `
+| **Long Hospital Stay (> 14 days)** | **${mathResult.longHospitalStay}%** | ${formatInterval(mathResult, 'longHospitalStay')} | ${formatCategory(mathResult, 'longHospitalStay')} |`;
+  }
+  
+  if (mathResult.shortHospitalStay) {
+    mathTable += `
+| **Short Hospital Stay (<6 days)*** | **${mathResult.shortHospitalStay}%** | ${formatInterval(mathResult, 'shortHospitalStay')} | ${formatCategory(mathResult, 'shortHospitalStay')} |`;
+  }
+  
+  mathTable += `\n\n${formatUncertaintyNote(mathResult)}\n\n**Risk Category:** ${mathResult.riskCategory}  \n${formatRiskFlags(mathResult)}  \n**Calculation Confidence:** ${mathResult.confidence}\n\n`;
+  mathTable += formatImputationSummary(mathResult);
+  mathTable += formatUnusedFields(mathResult);
+  if (mathResult.blocked) {
+    mathTable = formatBlockedCalculation(mathResult);
+  }
+  
+  // Add detailed step-by-step calculations for ALL outcomes
+  if (mathResult.detailedSteps && mathResult.detailedSteps.length > 0) {
+    mathTable += formatDetailedCalculation(mathResult.detailedSteps, 'Operative Mortality', '💀');
+  }
+  
+  if (mathResult.morbiditySteps && mathResult.morbiditySteps.length > 0) {
+    mathTable += formatDetailedCalculation(mathResult.morbiditySteps, 'Morbidity & Mortality (PROMM)', '⚕️');
+  }
+  
+  if (mathResult.strokeSteps && mathResult.strokeSteps.length > 0) {
+    mathTable += formatDetailedCalculation(mathResult.strokeSteps, 'Stroke', '🧠');
+  }
+  
+  if (mathResult.renalFailureSteps && mathResult.renalFailureSteps.length > 0) {
+    mathTable += formatDetailedCalculation(mathResult.renalFailureSteps, 'Renal Failure', '🫘');
+  }
+  
+  if (mathResult.reoperationSteps && mathResult.reoperationSteps.length > 0) {
+    mathTable += formatDetailedCalculation(mathResult.reoperationSteps, 'Reoperation', '🔄');
+  }
+  
+  if (mathResult.prolongedVentilationSteps && mathResult.prolongedVentilationSteps.length > 0) {
+    mathTable += formatDetailedCalculation(mathResult.prolongedVentilationSteps, 'Prolonged Ventilation (>24 hrs)', '🫁');
+  }
+  
+  if (mathResult.deepSternalWoundInfectionSteps && mathResult.deepSternalWoundInfectionSteps.length > 0) {
+    mathTable += formatDetailedCalculation(mathResult.deepSternalWoundInfectionSteps, 'Deep Sternal Wound Infection', '🦠');
+  }
+  
+  if (mathResult.longHospitalStaySteps && mathResult.longHospitalStaySteps.length > 0) {
+    mathTable += formatDetailedCalculation(mathResult.longHospitalStaySteps, 'Long Hospital Stay (>14 days)', '🏥');
+  }
+  
+  if (mathResult.shortHospitalStaySteps && mathResult.shortHospitalStaySteps.length > 0) {
+    mathTable += formatDetailedCalculation(mathResult.shortHospitalStaySteps, 'Short Hospital Stay (<6 days)', '✨');
+  }
+
+  if (euroResult && !mathResult.blocked) {
+    mathTable += formatEuroScoreCard(mathResult, euroResult);
+    mathTable += formatDetailedCalculation(euroResult.detailedSteps, 'EuroSCORE II Mortality', '🇪🇺');
+  }
+
+  return mathTable;
+}
+
+module.exports = {
+  buildManualCalculationMarkdown,
+  buildAIComparisonPrompt,
+  formatModelAccuracy,
+  formatExtractionReview,
+  formatReviewQueue,
+  formatProvenance
+};
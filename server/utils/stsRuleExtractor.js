@@ -0,0 +1,637 @@
+/**
+ * STS Rule-Based Extraction
+ * Reads the high-yield STS fields from patient notes with regular expressions
+ * and the clinical lexicon in data/lexicon/sts-lexicon.json - no LLM. The
+ * result has the shape of the LLM extraction (values valid against
+ * data/schemas/stsExtraction.schema.json, an evidence span and a confidence
+ * reason per field), so it can:
+ *
+ * - replace the LLM stage in offline mode, or when the LLM call fails
+ * - cross-check the LLM extraction: fields the two read differently are
+ *   returned as disagreements for the clinician to review
+ *
+ * Fields it finds no mention of are left out, never defaulted to false.
+ * A mention is negated by a cue ("no", "denies", ...) earlier in the same
+ * clause, or by "no"/"none" right after it ("Dialysis: no").
+ */
+
+const path = require('path');
+const { validateSchema } = require('./jsonSchema');
+const { normalizePatientData, UNITS } = require('./stsNormalizer');
+
+const LEXICON = require(path.join(__dirname, '..', 'data', 'lexicon', 'sts-lexicon.json'));
+const EXTRACTION_SCHEMA = require(path.join(__dirname, '..', 'data', 'schemas', 'stsExtraction.schema.json'));
+
+// Fields the rules look for
+const RULE_FIELDS = [
+  'age', 'gender', 'height', 'weight', 'ejectionFraction', 'creatinine', 'hematocrit',
+  'dialysis', 'diabetes', 'nyhaClass', 'miTiming', 'numberOfDiseasedVessels', 'leftMainStenosis',
+  'procedureType', 'previousCABG', 'previousValve', 'previousPCI', 'priority',
+  'aorticStenosis', 'mitralStenosis', 'aorticRegurgitation', 'mitralRegurgitation', 'tricuspidRegurgitation'
+];
+
+// Words of the clause before a mention searched for a negation or hypothetical cue
+const CUE_WORDS = 8;
+// Most words between a negation cue and its mention for an explicit negation
+// ("no known history of dialysis"); further away the negation is "inferred"
+const ADJACENT_CUE_WORDS = 3;
+// Relative difference under which two numbers count as the same reading
+const NUMERIC_TOLERANCE = 0.02;
+
+// Plausible ranges (canonical units); values outside are not a reading of the field
+const PLAUSIBLE = {
+  age: [18, 110],
+  height: [120, 230],
+  weight: [30, 300],
+  ejectionFraction: [5, 85],
+  creatinine: [0.2, 20],
+  hematocrit: [10, 70]
+};
+
+const ROMAN = { I: 1, II: 2, III: 3, IV: 4 };
+const HOURS_PER = { h: 1, d: 24, w: 168, m: 730, y: 8760 };
+const PRIORITY_ORDER = ['Emergent Salvage', 'Emergent', 'Urgent', 'Elective'];
+// Procedures planned together (lexicon keys, sorted) → STS procedure type
+const PROCEDURE_TYPES = {
+  'CABG': 'Isolated CABG',
+  'AVR': 'Isolated AVR',
+  'MVR': 'Isolated MVR',
+  'MV Repair': 'MV Repair',
+  'AVR+CABG': 'AVR + CABG',
+  'CABG+MVR': 'MVR + CABG',
+  'CABG+MV Repair': 'MV Repair + CABG'
+};
+const DIABETES_ORDER = ['Yes, Insulin', 'Yes, Other SubQ', 'Yes, Oral', 'Yes, Diet Only'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Case is decided per word: words written in lower case match in any case
+ * ("on" in "On HD"), words with capitals ("MR", "AS", "Mr.") match exactly,
+ * so "as" or "MR." in running text is not read as a finding or a title
+ */
+function termPattern(term) {
+  return term.split(/\s+/).map(word => {
+    const escaped = escapeRegExp(word);
+    return /[A-Z]/.test(word) ? escaped : escaped.replace(/[a-z]/g, char => `[${char}${char.toUpperCase()}]`);
+  }).join('\\s+');
+}
+
+/**
+ * Regex source matching any of the terms as whole words, longest first
+ */
+function terms(list) {
+  const alternatives = [...list].sort((a, b) => b.length - a.length).map(termPattern);
+  return `(?<![A-Za-z0-9])(?:${alternatives.join('|')})(?![A-Za-z0-9])`;
+}
+
+/**
+ * Regex source of the units the normalizer accepts for a field
+ */
+function units(field) {
+  return `(?:${Object.keys(UNITS[field].units).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![A-Za-z])`;
+}
+
+const NEGATION = new RegExp(terms(LEXICON.negation));
+const HYPOTHETICAL = new RegExp(terms(LEXICON.hypothetical));
+const NEGATION_TERMINATION = new RegExp(terms(LEXICON.negationTermination), 'g');
+const NEGATION_AFTER = /^\s*(?:[:=-]\s*)?(?:no|none|negative|denies)(?![A-Za-z])/i;
+const CLAUSE_BREAK = /[;,\n]|\.(?!\d)|\bbut\b|\bhowever\b|\bexcept\b/i;
+
+/**
+ * Last words of the clause that ends where a mention starts
+ */
+function clauseBefore(notes, start) {
+  const clause = notes.slice(Math.max(0, start - 80), start).split(CLAUSE_BREAK).pop();
+  return clause.trim().split(/\s+/).slice(-CUE_WORDS).join(' ');
+}
+
+/**
+ * Words a negation cue before the mention reaches: the clause, cut after the
+ * last termination term ("no known allergies has been on dialysis")
+ */
+function negationScope(notes, start) {
+  const clause = clauseBefore(notes, start);
+  const terminations = [...clause.matchAll(NEGATION_TERMINATION)];
+  if (terminations.length === 0) return clause;
+  const last = terminations[terminations.length - 1];
+  return clause.slice(last.index + last[0].length);
+}
+
+/**
+ * Negation cue before the mention, or right after its end when given
+ */
+function isNegated(notes, start, end) {
+  return NEGATION.test(negationScope(notes, start)) || (end !== undefined && NEGATION_AFTER.test(notes.slice(end, end + 12)));
+}
+
+/**
+ * Span of a negated mention with its cue ("No prior CABG", "Dialysis: no"),
+ * in the shape add() takes, so the evidence shows the negation. `reason` is
+ * "inferred" when more than ADJACENT_CUE_WORDS words separate cue and mention.
+ */
+function negatedSpan(notes, match) {
+  let start = match.index;
+  let end = match.index + match[0].length;
+  let reason = 'explicitly stated';
+  if (NEGATION.test(negationScope(notes, start))) {
+    const windowStart = Math.max(0, start - 80);
+    const cues = [...notes.slice(windowStart, start).matchAll(new RegExp(NEGATION.source, 'g'))];
+    const cue = cues[cues.length - 1];
+    const between = notes.slice(windowStart + cue.index + cue[0].length, start).trim();
+    if (between && between.split(/\s+/).length > ADJACENT_CUE_WORDS) reason = 'inferred';
+    start = windowStart + cue.index;
+  } else {
+    end += notes.slice(end, end + 12).match(NEGATION_AFTER)[0].length;
+  }
+  return { index: start, 0: notes.slice(start, end), reason };
+}
+
+function isHypothetical(notes, start) {
+  return HYPOTHETICAL.test(clauseBefore(notes, start));
+}
+
+function* findAll(notes, source, flags = '') {
+  yield* notes.matchAll(new RegExp(source, `g${flags}`));
+}
+
+function toNumber(text) {
+  return parseFloat(text.replace(',', '.'));
+}
+
+function inRange(field, value) {
+  const [min, max] = PLAUSIBLE[field];
+  return value >= min && value <= max;
+}
+
+/**
+ * Mentions found in the notes: { field: [{ value, start, end, reason }] }
+ * A mention overlapping an earlier one of the same field is ignored, so the
+ * more specific patterns are tried first.
+ */
+function createMentions() {
+  const mentions = {};
+  const add = (field, value, match, reason = 'explicitly stated') => {
+    const start = match.index + (match[0].length - match[0].trimStart().length);
+    const end = match.index + match[0].trimEnd().length;
+    const list = mentions[field] || (mentions[field] = []);
+    if (list.some(item => item.start < end && start < item.end)) return;
+    list.push({ value, start, end, reason });
+  };
+  return { mentions, add };
+}
+
+/**
+ * Boolean finding: true, or false with the negation cue in its evidence
+ */
+function addMention(notes, add, field, match) {
+  const negated = isNegated(notes, match.index, match.index + match[0].length);
+  if (!negated) {
+    add(field, true, match);
+    return;
+  }
+  const span = negatedSpan(notes, match);
+  add(field, false, span, span.reason);
+}
+
+function extractAge(notes, add) {
+  const patterns = [
+    /(?<!\d)(\d{2,3})[\s-]*(?:years?|yrs?|y)[\s-]*old(?![A-Za-z])/gi,
+    /(?<!\d)(\d{2,3})\s*(?:y\/o|y\.o\.|yo|yof|yom)(?![A-Za-z])/gi,
+    /\bage[d]?\s*(?:[:=]|of|is)?\s*(\d{2,3})(?!\d)/gi,
+    /(?<![\w.])(\d{2,3})[MF](?![A-Za-z])/g
+  ];
+  patterns.forEach(pattern => {
+    for (const match of notes.matchAll(pattern)) {
+      const age = parseInt(match[1], 10);
+      if (inRange('age', age)) add('age', age, match);
+    }
+  });
+}
+
+function extractGender(notes, add, mentions) {
+  for (const match of notes.matchAll(/(?<![\w.])\d{2,3}(?:\s*(?:y\/?o|yo)\s*)?([MF])(?![A-Za-z])/g)) {
+    add('gender', match[1] === 'M' ? 'Male' : 'Female', match);
+  }
+  for (const match of notes.matchAll(/\b(?:sex|gender)\s*:\s*(male|female|m|f)\b/gi)) {
+    add('gender', match[1].toLowerCase().startsWith('m') ? 'Male' : 'Female', match);
+  }
+  Object.entries(LEXICON.sex).forEach(([value, list]) => {
+    for (const match of findAll(notes, terms(list))) add('gender', value, match);
+  });
+  if (mentions.gender) return;
+
+  // Pronouns only when nothing states the sex; the more frequent set wins
+  const counts = Object.entries(LEXICON.pronouns).map(([value, list]) => ({ value, matches: [...findAll(notes, terms(list))] }));
+  counts.sort((a, b) => b.matches.length - a.matches.length);
+  if (counts[0].matches.length > counts[1].matches.length) {
+    add('gender', counts[0].value, counts[0].matches[0], 'inferred');
+  }
+}
+
+/**
+ * Height and weight as written: a number in the canonical unit, otherwise a
+ * string the normalizer converts ("70 in", "5'10\"", "180 lb")
+ */
+function extractBodySize(notes, add) {
+  const label = { height: '(?:height|ht)', weight: '(?:weight|wt)' };
+
+  for (const match of notes.matchAll(/\b(?:height|ht)?\s*(?:[:=]|of|is)?\s*(?<![\d.])([4-7])\s*(?:'|ft|feet)\s*(\d{1,2})\s*(?:"|''|in(?:ches)?)?/gi)) {
+    addBodySize(add, 'height', `${match[1]}'${match[2]}"`, match);
+  }
+  ['height', 'weight'].forEach(field => {
+    const labelled = new RegExp(`\\b${label[field]}\\b\\s*(?:[:=]|of|is)?\\s*(\\d+(?:[.,]\\d+)?)\\s*(${units(field)})?`, 'gi');
+    for (const match of notes.matchAll(labelled)) addBodySize(add, field, withUnit(field, match[1], match[2]), match);
+  });
+  for (const match of notes.matchAll(/(?<![\d.])(\d{3}(?:\.\d+)?)\s*(cm)(?![A-Za-z])/gi)) {
+    addBodySize(add, 'height', withUnit('height', match[1], match[2]), match);
+  }
+  for (const match of notes.matchAll(/(?<![\d.])(\d{2,3}(?:\.\d+)?)\s*(kg|kgs|lbs?|pounds)(?![A-Za-z])/gi)) {
+    if (/\b(?:lost|gained|loss|gain|down|up)\b/i.test(clauseBefore(notes, match.index))) continue;
+    addBodySize(add, 'weight', withUnit('weight', match[1], match[2].toLowerCase() === 'kgs' ? 'kg' : match[2]), match);
+  }
+}
+
+/**
+ * A number when the unit is missing or canonical, else "<amount> <unit>" for the normalizer
+ */
+function withUnit(field, amount, unit) {
+  return !unit || unit.toLowerCase() === UNITS[field].canonical.toLowerCase() ? toNumber(amount) : `${amount} ${unit}`;
+}
+
+function addBodySize(add, field, value, match) {
+  const normalized = normalizePatientData({ [field]: value }).data[field];
+  if (typeof normalized === 'number' && inRange(field, normalized)) add(field, value, match);
+}
+
+function extractLabs(notes, add) {
+  const link = '\\s*(?:level\\s*)?(?:[:=~]|of|is|was|at|estimated at|approximately|approx\\.?|around|\\s)*\\s*';
+
+  for (const match of findAll(notes, `\\b(?:LVEF|EF|ejection fraction)\\b${link}([<>≤≥]\\s*)?(\\d{1,2})(?!\\d)(?:\\s*(?:-|–|to)\\s*(\\d{1,2})(?!\\d))?\\s*%?`, 'i')) {
+    const low = parseInt(match[2], 10);
+    const high = match[3] ? parseInt(match[3], 10) : null;
+    const value = high && high > low ? (low + high) / 2 : low;
+    if (inRange('ejectionFraction', value)) add('ejectionFraction', value, match, match[1] || high ? 'inferred' : 'explicitly stated');
+  }
+
+  for (const match of findAll(notes, `\\b(?:creatinine|creat|cr|scr)\\b(?!\\s*clearance)${link}(\\d+(?:[.,]\\d+)?)\\s*(${units('creatinine')})?`, 'i')) {
+    const value = withUnit('creatinine', match[1], match[2]);
+    const normalized = normalizePatientData({ creatinine: value }).data.creatinine;
+    if (typeof normalized === 'number' && inRange('creatinine', normalized)) add('creatinine', value, match);
+  }
+
+  for (const match of findAll(notes, `\\b(?:hematocrit|haematocrit|hct)\\b${link}(\\d{1,2}(?:[.,]\\d+)?)(?!\\d)\\s*%?`, 'i')) {
+    const value = toNumber(match[1]);
+    if (inRange('hematocrit', value)) add('hematocrit', value, match);
+  }
+}
+
+function extractNYHA(notes, add) {
+  const classes = '(IV|III|II|I|[1-4])';
+  const patterns = [
+    new RegExp(`\\bNYHA\\s*(?:functional\\s*)?(?:class\\s*)?${classes}(?:\\s*[-–/]\\s*${classes})?(?![A-Za-z0-9])`, 'gi'),
+    new RegExp(`\\bclass\\s*${classes}(?:\\s*[-–/]\\s*${classes})?\\s*(?:heart failure|HF|CHF|symptoms|dyspnea)\\b`, 'gi')
+  ];
+  const toClass = text => ROMAN[text.toUpperCase()] || parseInt(text, 10);
+  patterns.forEach(pattern => {
+    for (const match of notes.matchAll(pattern)) {
+      const level = Math.max(toClass(match[1]), match[2] ? toClass(match[2]) : 0);
+      add('nyhaClass', `Class ${Object.keys(ROMAN)[level - 1]}`, match, match[2] ? 'inferred' : 'explicitly stated');
+    }
+  });
+}
+
+/**
+ * STS MI timing bucket for a time since the MI
+ */
+function miBucket(hours) {
+  if (hours <= 6) return '≤ 6 Hrs';
+  if (hours < 24) return '>6 Hrs but <24 Hrs';
+  if (hours <= 7 * 24) return '1 to 7 Days';
+  if (hours <= 21 * 24) return '8 to 21 Days';
+  return '> 21 Days';
+}
+
+function extractMITiming(notes, add) {
+  const mi = terms(LEXICON.myocardialInfarction);
+  const elapsed = '(\\d+)\\s*(hours?|hrs?|days?|weeks?|wks?|months?|mos?|years?|yrs?)\\s*(?:ago|prior|before admission)';
+  const hoursOf = match => parseInt(match[1], 10) * HOURS_PER[match[2][0]];
+
+  for (const match of findAll(notes, `${mi}[^.;\\n]{0,40}?${elapsed}`)) {
+    if (!isNegated(notes, match.index)) add('miTiming', miBucket(hoursOf(match)), match);
+  }
+  for (const match of findAll(notes, `${elapsed}[^.;\\n]{0,30}?${mi}`)) {
+    add('miTiming', miBucket(hoursOf(match)), match);
+  }
+  for (const match of findAll(notes, `${mi}\\s*(?:in\\s*)?\\(?((?:19|20)\\d{2})\\)?`)) {
+    if (parseInt(match[1], 10) < new Date().getFullYear()) add('miTiming', '> 21 Days', match, 'inferred');
+  }
+  for (const match of findAll(notes, `${terms(['remote', 'old'])}\\s+${mi}`)) {
+    add('miTiming', '> 21 Days', match, 'inferred');
+  }
+  for (const match of findAll(notes, mi)) {
+    if (!isNegated(notes, match.index, match.index + match[0].length)) continue;
+    const span = negatedSpan(notes, match);
+    add('miTiming', 'No MI', span, span.reason);
+  }
+}
+
+function extractCoronaryAnatomy(notes, add) {
+  const counts = {};
+  Object.entries(LEXICON.vesselCounts).forEach(([value, list]) => list.forEach(term => { counts[term.toLowerCase()] = value; }));
+  const countTerms = terms(Object.keys(counts));
+
+  for (const match of findAll(notes, `(${countTerms})[\\s-]*vessel(?:s)?(?!\\s*(?:CABG|bypass))`, 'i')) {
+    if (!isNegated(notes, match.index)) add('numberOfDiseasedVessels', counts[match[1].toLowerCase()], match);
+  }
+  for (const match of notes.matchAll(/(?<![\w.])([1-3])\s*-?\s*VD\b/g)) {
+    add('numberOfDiseasedVessels', counts[match[1]], match);
+  }
+
+  const leftMain = terms(LEXICON.leftMain);
+  const percentAfter = `${leftMain}(?:\\s*(?:coronary|artery|stenosis|disease|lesion|with|of|has|is|:|-))*\\s*(\\d{1,3})\\s*%`;
+  const percentBefore = `(\\d{1,3})\\s*%\\s*(?:stenosis\\s*(?:of|in)\\s*(?:the\\s*)?)?${leftMain}`;
+  [percentAfter, percentBefore].forEach(source => {
+    for (const match of findAll(notes, source)) {
+      const percent = parseInt(match[1], 10);
+      if (percent <= 100) add('leftMainStenosis', percent >= 50, match);
+    }
+  });
+  for (const match of findAll(notes, `${leftMain}\\s*(?:coronary\\s*|artery\\s*)?(?:disease|stenosis|lesion)`)) {
+    addMention(notes, add, 'leftMainStenosis', match);
+  }
+  for (const match of findAll(notes, `${leftMain}\\s*(?:is\\s*)?(?:normal|patent|without (?:significant )?disease)`)) {
+    add('leftMainStenosis', false, match);
+  }
+
+  // A bare mention in the same sentence as coronary disease ("three vessel
+  // disease with left main", "LM involvement"); the grade is not stated
+  const context = new RegExp(terms(LEXICON.leftMainContext));
+  for (const match of findAll(notes, leftMain)) {
+    const end = match.index + match[0].length;
+    const sentence = notes.slice(Math.max(0, match.index - 60), match.index).split(/[.;\n]/).pop() +
+      notes.slice(end, end + 40).split(/[.;\n]/)[0];
+    if (!context.test(sentence)) continue;
+    if (isNegated(notes, match.index, end)) {
+      const span = negatedSpan(notes, match);
+      add('leftMainStenosis', false, span, span.reason);
+    } else {
+      add('leftMainStenosis', true, match, 'inferred');
+    }
+  }
+}
+
+function extractPriorProcedures(notes, add) {
+  const prefix = terms(LEXICON.priorPrefixes);
+  const year = '\\(?(?:19|20)\\d{2}\\)?';
+
+  ['previousCABG', 'previousValve', 'previousPCI'].forEach(field => {
+    const procedure = terms(LEXICON[field]);
+    for (const match of findAll(notes, `${prefix}\\s+(?:[\\w-]+\\s+){0,2}?${procedure}`)) {
+      addMention(notes, add, field, match);
+    }
+    for (const match of findAll(notes, `${procedure}\\s*(?:(?:in|on|at)\\s+)?${year}`)) {
+      if (!isNegated(notes, match.index)) add(field, true, match);
+    }
+  });
+
+  const stent = terms(['stent', 'stents', 'stented', 'DES', 'BMS', 'PCI']);
+  for (const match of findAll(notes, `${stent}\\s+(?:to|in|of)\\s+(?:the\\s+)?(?:proximal\\s+|mid\\s+|distal\\s+)?${terms(LEXICON.coronaryTargets)}`)) {
+    if (!isNegated(notes, match.index)) add('previousPCI', true, match, 'inferred');
+  }
+}
+
+/**
+ * Planned operation: the procedures mentioned that are not previous ones
+ * (prior prefix, followed by a year) or negated ("not a candidate for CABG"),
+ * combined into one STS procedure type. One phrase ("AVR + CABG") is stated;
+ * procedures named apart are combined as "inferred". Combinations without an
+ * STS model (AVR + MVR) are left out.
+ */
+function extractProcedure(notes, add) {
+  const prior = new RegExp(terms(LEXICON.priorPrefixes));
+  const dated = /^\s*(?:x\s*\d\s*)?(?:(?:in|on|at)\s+)?\(?(?:19|20)\d{2}\)?/i;
+  const planned = [];
+
+  Object.entries(LEXICON.procedures).forEach(([procedure, list]) => {
+    for (const match of findAll(notes, terms(list))) {
+      const end = match.index + match[0].length;
+      if (prior.test(clauseBefore(notes, match.index)) || dated.test(notes.slice(end, end + 16)) || isNegated(notes, match.index, end)) continue;
+      planned.push({ procedure, start: match.index, end });
+    }
+  });
+  if (planned.length === 0) return;
+
+  const procedures = [...new Set(planned.map(item => item.procedure))].sort();
+  const value = PROCEDURE_TYPES[procedures.join('+')];
+  if (!value) {
+    console.warn(`⚠️ Rule extraction: no STS model for ${procedures.join(' + ')} - procedureType left out`);
+    return;
+  }
+
+  planned.sort((a, b) => a.start - b.start);
+  const firsts = procedures.map(procedure => planned.find(item => item.procedure === procedure));
+  const start = Math.min(...firsts.map(item => item.start));
+  const end = Math.max(...firsts.map(item => item.end));
+  const phrase = notes.slice(start, end);
+  if (procedures.length === 1 || (phrase.length <= 60 && !/[.;\n]/.test(phrase))) {
+    add('procedureType', value, { index: start, 0: phrase });
+  } else {
+    add('procedureType', value, { index: firsts[0].start, 0: notes.slice(firsts[0].start, firsts[0].end) }, 'inferred');
+  }
+}
+
+function extractDialysis(notes, add) {
+  for (const match of findAll(notes, terms(LEXICON.dialysis))) {
+    if (!isHypothetical(notes, match.index)) addMention(notes, add, 'dialysis', match);
+  }
+}
+
+/**
+ * Diabetes is one decision over all mentions: the most intensive treatment
+ * found, "No" when diabetes is only mentioned negated, nothing when the
+ * treatment is unknown
+ */
+function extractDiabetes(notes, add) {
+  const mentions = [...findAll(notes, terms(LEXICON.diabetesMentions))];
+  const positive = mentions.filter(match => !isNegated(notes, match.index, match.index + match[0].length));
+
+  const treatments = DIABETES_ORDER.map(value => ({
+    value,
+    matches: [...findAll(notes, terms(LEXICON.diabetes[value]))]
+      .filter(match => !isNegated(notes, match.index, match.index + match[0].length) && !isHypothetical(notes, match.index))
+  })).filter(item => item.matches.length > 0);
+
+  if (treatments.length > 0) {
+    const { value, matches } = treatments[0];
+    // Insulin is also given outside diabetes; it needs a diabetes mention
+    if (positive.length > 0) add('diabetes', value, matches[0]);
+    else if (value !== 'Yes, Insulin') add('diabetes', value, matches[0], 'inferred');
+    return;
+  }
+  if (positive.length === 0 && mentions.length > 0) {
+    const span = negatedSpan(notes, mentions[0]);
+    add('diabetes', 'No', span, span.reason);
+  }
+}
+
+function extractPriority(notes, add) {
+  PRIORITY_ORDER.forEach(value => {
+    for (const match of findAll(notes, terms(LEXICON.priority[value]))) {
+      if (!isNegated(notes, match.index, match.index + match[0].length)) add('priority', value, match);
+    }
+  });
+}
+
+function extractValves(notes, add) {
+  const grades = {};
+  Object.entries(LEXICON.valveGrades).forEach(([value, list]) => list.forEach(term => { grades[term.toLowerCase()] = value; }));
+  const grade = `(${terms(Object.keys(grades))})`;
+  const inferred = new Set(LEXICON.inferredValveGrades.map(term => term.toLowerCase()));
+  const gradeOf = text => grades[text.toLowerCase().replace(/\s+/g, ' ')];
+
+  Object.entries(LEXICON.valveLesions).forEach(([field, list]) => {
+    const lesion = terms(list);
+    for (const match of findAll(notes, `${grade}\\s+${lesion}`)) {
+      add(field, gradeOf(match[1]), match, inferred.has(match[1].toLowerCase()) ? 'inferred' : 'explicitly stated');
+    }
+    for (const match of findAll(notes, `${lesion}\\s*(?:[:=-]|is|was)?\\s*${grade}`)) {
+      if (gradeOf(match[1]) === 'None' && match[1].toLowerCase() === 'no') continue;
+      add(field, gradeOf(match[1]), match, inferred.has(match[1].toLowerCase()) ? 'inferred' : 'explicitly stated');
+    }
+  });
+
+  const severity = terms(LEXICON.stenosisGrades);
+  Object.entries(LEXICON.stenosis).forEach(([field, { terms: names, abbreviations }]) => {
+    for (const match of findAll(notes, `(?:${severity}\\s+)?${terms(names)}`)) {
+      addMention(notes, add, field, match);
+    }
+    for (const match of findAll(notes, `(${severity}|${terms(['no'])})\\s+${terms(abbreviations)}`)) {
+      add(field, match[1].toLowerCase() !== 'no', match);
+    }
+  });
+}
+
+/**
+ * One value per field: the single reading, or - when mentions disagree - the
+ * most severe priority or else the last mention, flagged "conflicting mentions"
+ */
+function resolveMentions(field, list) {
+  list.sort((a, b) => a.start - b.start);
+  const values = new Set(list.map(item => JSON.stringify(item.value)));
+  if (values.size === 1) {
+    return list.filter(item => item.reason === 'explicitly stated').pop() || list[list.length - 1];
+  }
+  const chosen = field === 'priority'
+    ? [...list].sort((a, b) => PRIORITY_ORDER.indexOf(a.value) - PRIORITY_ORDER.indexOf(b.value))[0]
+    : list[list.length - 1];
+  return { ...chosen, reason: 'conflicting mentions' };
+}
+
+/**
+ * Extract the STS fields the rules cover
+ * @param {string} notes - Free-text patient notes
+ * @returns {Object} {
+ *   data,      // { field: value } valid against the extraction schema
+ *   evidence,  // { field: { quote, start, end, match: 'exact' } } span of the mention used
+ *   reasons,   // { field: 'explicitly stated' | 'inferred' | 'conflicting mentions' }
+ *   fields     // RULE_FIELDS
+ * }
+ */
+function extractWithRules(notes) {
+  const text = notes || '';
+  const { mentions, add } = createMentions();
+
+  extractAge(text, add);
+  extractGender(text, add, mentions);
+  extractBodySize(text, add);
+  extractLabs(text, add);
+  extractNYHA(text, add);
+  extractMITiming(text, add);
+  extractCoronaryAnatomy(text, add);
+  extractProcedure(text, add);
+  extractPriorProcedures(text, add);
+  extractDialysis(text, add);
+  extractDiabetes(text, add);
+  extractPriority(text, add);
+  extractValves(text, add);
+
+  const data = {};
+  const evidence = {};
+  const reasons = {};
+  RULE_FIELDS.filter(field => mentions[field]).forEach(field => {
+    const chosen = resolveMentions(field, mentions[field]);
+    data[field] = chosen.value;
+    evidence[field] = { quote: text.slice(chosen.start, chosen.end), start: chosen.start, end: chosen.end, match: 'exact' };
+    reasons[field] = chosen.reason;
+  });
+
+  // The patterns only produce schema values; this guards the lexicon
+  validateSchema(data, EXTRACTION_SCHEMA).forEach(issue => {
+    console.warn(`⚠️ Rule extraction: dropped ${issue.message}`);
+    delete data[issue.field];
+    delete evidence[issue.field];
+    delete reasons[issue.field];
+  });
+
+  return { data, evidence, reasons, fields: RULE_FIELDS };
+}
+
+function sameReading(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) <= NUMERIC_TOLERANCE * Math.max(Math.abs(a), Math.abs(b));
+  }
+  return a === b;
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+/**
+ * Compare an LLM extraction with the rule-based one (values compared after
+ * normalization, so "70 in" and 177.8 agree)
+ * @param {Object} llmData - Fields from the LLM extraction
+ * @param {Object} rules - extractWithRules() result for the same notes
+ * @returns {Object} {
+ *   compared,       // fields both extractions have a value for
+ *   agreed,
+ *   disagreements,  // [{ field, llm, rules, quote, message }]
+ *   rulesOnly       // [{ field, rules, quote }] found by the rules, missing from the LLM answer
+ * }
+ */
+function crossCheckExtraction(llmData, rules) {
+  const llm = normalizePatientData(llmData || {}).data;
+  const ruled = normalizePatientData(rules.data).data;
+  const result = { compared: 0, agreed: 0, disagreements: [], rulesOnly: [] };
+
+  Object.entries(ruled).forEach(([field, value]) => {
+    const quote = rules.evidence[field] ? rules.evidence[field].quote : null;
+    if (llm[field] === undefined || llm[field] === null) {
+      result.rulesOnly.push({ field, rules: rules.data[field], quote });
+      return;
+    }
+    result.compared++;
+    if (sameReading(llm[field], value)) {
+      result.agreed++;
+      return;
+    }
+    result.disagreements.push({
+      field,
+      llm: llmData[field],
+      rules: rules.data[field],
+      quote,
+      message: `${field}: LLM extracted ${formatValue(llmData[field])}, the rules read ${formatValue(rules.data[field])} from "${quote}"`
+    });
+  });
+
+  return result;
+}
+
+module.exports = {
+  RULE_FIELDS,
+  extractWithRules,
+  crossCheckExtraction
+};
@@ -0,0 +1,116 @@
+/**
+ * Outcome Uncertainty
+ * 95% intervals around every predicted outcome.
+ *
+ * - Coefficient uncertainty: each model term carries a standard error (see
+ *   resolveUncertainty() in utils/modelRegistry.js), so the logit has a
+ *   variance. With exact inputs the interval is the delta method:
+ *   logit ± 1.96 × √variance, transformed back to a probability.
+ * - Input uncertainty: measured values with known noise (INPUT_UNCERTAINTY)
+ *   and imputed values (population priors) are sampled by seeded Monte Carlo.
+ *   Each draw re-scores the patient and adds a normal draw on the logit for
+ *   the coefficient uncertainty; the interval is the 2.5th-97.5th percentile.
+ */
+
+const { RANGES } = require('./stsValidator');
+const { samplePrior } = require('./stsImputation');
+const { seededRandom, normalDraw } = require('./seededRandom');
+
+const LEVEL = 0.95;
+const Z = 1.959964;
+const DRAWS = 400;
+const SEED = 20261019;
+
+/**
+ * Assumed measurement noise of inputs that are rarely exact
+ * `sd` is absolute (canonical units), `cv` relative (sampled on the log scale)
+ */
+const INPUT_UNCERTAINTY = {
+  ejectionFraction: { sd: 5, note: 'echocardiographic EF, ±5 points between readers' },
+  creatinine: { cv: 0.07, note: 'serum creatinine, ~7% assay and day-to-day variation' }
+};
+
+function drawMeasured(field, value, random) {
+  const noise = INPUT_UNCERTAINTY[field];
+  const sampled = noise.sd !== undefined
+    ? value + noise.sd * normalDraw(random)
+    : value * Math.exp(noise.cv * normalDraw(random));
+  const [min, max] = (RANGES[field] && RANGES[field].hard) || [-Infinity, Infinity];
+  return Math.min(Math.max(sampled, min), max);
+}
+
+function toProbability(logit) {
+  return 1 / (1 + Math.exp(-logit));
+}
+
+function percentile(sorted, fraction) {
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round(fraction * (sorted.length - 1))));
+  return sorted[index];
+}
+
+/**
+ * 95% interval for every outcome
+ * @param {Object} data - Scored patient data (imputed values filled in)
+ * @param {Object} options - { imputed: [fields], derived: [fields], scoreScenario }
+ *   `derived` fields are recomputed on every draw; `scoreScenario` is
+ *   (data) => { outcome: { probability, logit, variance } or null }
+ * @returns {Object} { intervals: { outcome: { low, high } } (probabilities), level, method, draws, inputs }
+ */
+function computeIntervals(data, options) {
+  const imputed = options.imputed || [];
+  const derived = options.derived || [];
+  const scoreScenario = options.scoreScenario;
+
+  const inputs = imputed.map(field => ({ field, source: 'imputed', note: 'sampled from the population prior' }))
+    .concat(Object.keys(INPUT_UNCERTAINTY)
+      .filter(field => typeof data[field] === 'number' && !imputed.includes(field))
+      .map(field => ({ field, source: 'measured', note: INPUT_UNCERTAINTY[field].note })));
+
+  const point = scoreScenario(data);
+  const intervals = {};
+
+  if (inputs.length === 0) {
+    Object.entries(point).forEach(([outcome, calc]) => {
+      if (!calc) return;
+      const halfWidth = Z * Math.sqrt(calc.variance);
+      intervals[outcome] = { low: toProbability(calc.logit - halfWidth), high: toProbability(calc.logit + halfWidth) };
+    });
+    return { intervals, level: LEVEL, method: 'delta', draws: 0, inputs };
+  }
+
+  const base = { ...data };
+  derived.forEach(field => { delete base[field]; });
+
+  const random = seededRandom(SEED);
+  const samples = {};
+  Object.keys(point).forEach(outcome => { samples[outcome] = []; });
+
+  for (let i = 0; i < DRAWS; i++) {
+    const draw = { ...base };
+    inputs.forEach(input => {
+      draw[input.field] = input.source === 'imputed'
+        ? samplePrior(input.field, random)
+        : drawMeasured(input.field, base[input.field], random);
+    });
+
+    const scored = scoreScenario(draw);
+    Object.entries(scored).forEach(([outcome, calc]) => {
+      if (!calc) return;
+      samples[outcome].push(toProbability(calc.logit + Math.sqrt(calc.variance) * normalDraw(random)));
+    });
+  }
+
+  const tail = (1 - LEVEL) / 2;
+  Object.entries(samples).forEach(([outcome, values]) => {
+    if (!point[outcome] || values.length === 0) return;
+    const sorted = values.sort((a, b) => a - b);
+    intervals[outcome] = { low: percentile(sorted, tail), high: percentile(sorted, 1 - tail) };
+  });
+
+  return { intervals, level: LEVEL, method: 'delta + monte carlo', draws: DRAWS, inputs };
+}
+
+module.exports = {
+  computeIntervals,
+  INPUT_UNCERTAINTY
+};
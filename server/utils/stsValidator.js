@@ -0,0 +1,130 @@
+/**
+ * STS Input Validator
+ * Checks normalized patient data before any model runs, so an extraction typo
+ * (EF 550, age 4) cannot turn into a confident-looking risk estimate.
+ *
+ * - errors: values outside the physiologically possible range. They block
+ *   the calculation.
+ * - warnings: values that are possible but unusual, inputs that could not be
+ *   mapped onto the schema (unknown field, enum spelling, unit) and
+ *   inconsistencies between fields. Calculation continues.
+ *
+ * Each issue is { field, value, code, message }.
+ */
+
+/**
+ * Ranges in canonical units. Outside `hard` is an error, outside `soft` a warning.
+ * `hint` explains the most likely cause of an out-of-range value. Platelets are
+ * not used by any model, so they only warn.
+ */
+const RANGES = {
+  age: { unit: 'years', hard: [18, 110], soft: [20, 95], hint: 'STS adult cardiac surgery models apply to patients aged 18-110' },
+  height: { unit: 'cm', hard: [100, 250], soft: [135, 210], hint: 'values below 100 are usually inches or metres - add the unit ("70 in", "1.75 m")' },
+  weight: { unit: 'kg', hard: [25, 300], soft: [35, 200], hint: 'check whether the value is in pounds - add the unit ("180 lb")' },
+  bmi: { unit: 'kg/m²', hard: [10, 80], soft: [15, 50] },
+  bsa: { unit: 'm²', hard: [0.8, 3.5], soft: [1.2, 2.8] },
+  creatinine: { unit: 'mg/dL', hard: [0.1, 25], soft: [0.3, 10], hint: 'values above 25 are usually µmol/L - add the unit ("106 µmol/L")' },
+  creatinineClearance: { unit: 'mL/min', hard: [1, 300], soft: [5, 200] },
+  egfr: { unit: 'mL/min/1.73m²', hard: [1, 200], soft: [5, 150] },
+  hematocrit: { unit: '%', hard: [10, 70], soft: [20, 60], hint: 'enter hematocrit as a percentage (e.g. 38, not 0.38)' },
+  wbc: { unit: '10³/μL', hard: [0.1, 200], soft: [1, 30] },
+  platelets: { unit: 'cells/μL', hard: null, soft: [50000, 700000], hint: 'values below 1000 are usually 10³/μL (250 = 250000)' },
+  ejectionFraction: { unit: '%', hard: [5, 85], soft: [10, 75], hint: 'enter EF as a percentage (e.g. 35, not 0.35)' },
+  pulmonaryArterySystolicPressure: { unit: 'mmHg', hard: [5, 150], soft: [15, 100], hint: 'enter the systolic PA pressure in mmHg, not the mean' }
+};
+
+/**
+ * Validate normalized patient data
+ * @param {Object} data - Normalized patient data (after derived variables)
+ * @param {Object} context - { unmapped, derived } from the normalizer / derivation step
+ * @returns {Object} { errors, warnings }
+ */
+function validatePatientData(data, context = {}) {
+  const errors = [];
+  const warnings = [];
+  const derivedFields = (context.derived || []).map(item => item.field);
+
+  Object.entries(RANGES).forEach(([field, range]) => {
+    const value = data[field];
+    if (value === undefined || value === null) return;
+
+    // Derived values are only as good as their inputs, which are checked themselves
+    if (derivedFields.includes(field)) return;
+
+    const [hardMin, hardMax] = range.hard || [-Infinity, Infinity];
+    const [softMin, softMax] = range.soft;
+
+    if (value < hardMin || value > hardMax) {
+      errors.push({
+        field,
+        value,
+        code: 'out_of_range',
+        message: `${field} ${value} ${range.unit} is outside the possible range ${hardMin}-${hardMax}${range.hint ? ` (${range.hint})` : ''}`
+      });
+    } else if (value < softMin || value > softMax) {
+      warnings.push({
+        field,
+        value,
+        code: 'implausible',
+        message: `${field} ${value} ${range.unit} is unusual (expected ${softMin}-${softMax}) - please confirm${!range.hard && range.hint ? ` (${range.hint})` : ''}`
+      });
+    }
+  });
+
+  (context.unmapped || []).forEach(item => {
+    warnings.push({
+      field: item.field,
+      value: item.value,
+      code: item.reason === 'unknown field' ? 'unknown_field' : 'invalid_value',
+      message: `${item.field}: ${item.reason} - value ignored`
+    });
+  });
+
+  checkConsistency(data, derivedFields).forEach(issue => warnings.push(issue));
+
+  return { errors, warnings };
+}
+
+/**
+ * Cross-field checks that point at an extraction mistake
+ */
+function checkConsistency(data, derivedFields) {
+  const issues = [];
+
+  if (data.bmi && data.height && data.weight && !derivedFields.includes('bmi')) {
+    const computed = data.weight / Math.pow(data.height / 100, 2);
+    if (Math.abs(computed - data.bmi) / computed > 0.1) {
+      issues.push({
+        field: 'bmi',
+        value: data.bmi,
+        code: 'inconsistent',
+        message: `bmi ${data.bmi} does not match height ${data.height} cm / weight ${data.weight} kg (${computed.toFixed(1)})`
+      });
+    }
+  }
+
+  if (data.dialysis && data.creatinine !== undefined && data.creatinine < 1.0) {
+    issues.push({
+      field: 'creatinine',
+      value: data.creatinine,
+      code: 'inconsistent',
+      message: `creatinine ${data.creatinine} mg/dL is unusually low for a patient on dialysis`
+    });
+  }
+
+  if (data.surgeryIncidence === 'First CV surgery' && (data.previousCABG || data.previousValve)) {
+    issues.push({
+      field: 'surgeryIncidence',
+      value: data.surgeryIncidence,
+      code: 'inconsistent',
+      message: 'surgeryIncidence is "First CV surgery" but a previous CABG/valve operation is recorded'
+    });
+  }
+
+  return issues;
+}
+
+module.exports = {
+  RANGES,
+  validatePatientData
+};
@@ -0,0 +1,244 @@
+/**
+ * What-If Sensitivity Analysis
+ * Re-runs calculateSTSRisk() with changed inputs ("optimise the creatinine
+ * first", "wait past the 21-day MI window") and reports each scenario's
+ * outcomes and their change from baseline. No LLM involved.
+ *
+ * Perturbations (canonical field names, values as accepted by the normalizer):
+ * - { field, value }                 single-field change
+ * - { changes: { field: value }, label }   several fields at once
+ * - { field, values: [...] }         sweep over listed values
+ * - { field, from, to, step }        numeric sweep
+ * A value of null removes the field (unknown / imputed).
+ */
+
+const { calculateSTSRisk } = require('./stsCalculator');
+const { normalizePatientData, canonicalField } = require('./stsNormalizer');
+const { dependentFields } = require('./derivedVariables');
+const { OUTCOMES } = require('./modelRegistry');
+const { createYielder } = require('./eventLoop');
+
+const MAX_SCENARIOS = 50;
+const RECENT_MI = ['≤ 6 Hrs', '>6 Hrs but <24 Hrs', '1 to 7 Days', '8 to 21 Days'];
+
+/**
+ * Risk factors that can be changed before surgery, with the optimised value
+ * `target` returns null when the factor is absent or already optimal.
+ */
+const MODIFIABLE_FACTORS = [
+  { field: 'miTiming', category: 'timing', label: 'Wait past the 21-day MI window', target: data => RECENT_MI.includes(data.miTiming) ? '> 21 Days' : null },
+  { field: 'priority', category: 'timing', label: 'Stabilise and operate electively', target: data => data.priority === 'Urgent' ? 'Elective' : null },
+  { field: 'cerebrovascularDisease', category: 'timing', label: 'Wait more than 30 days after the stroke', target: data => data.cerebrovascularDisease === 'CVA ≤ 30 days' ? 'CVA > 30 days' : null },
+  { field: 'endocarditis', category: 'timing', label: 'Complete antibiotic treatment first', target: data => data.endocarditis === 'Yes, active' ? 'Yes, treated' : null },
+  { field: 'creatinine', category: 'labs', label: 'Optimise renal function (creatinine 1.2 mg/dL)', target: data => data.creatinine > 1.2 && !data.dialysis ? 1.2 : null },
+  { field: 'hematocrit', category: 'labs', label: 'Correct anaemia (hematocrit 35%)', target: data => data.hematocrit < 35 ? 35 : null },
+  { field: 'medInotropes', category: 'meds', label: 'Wean inotropes', target: data => data.medInotropes ? false : null },
+  { field: 'medADPInhibitors', category: 'meds', label: 'Stop ADP inhibitor (washout)', target: data => data.medADPInhibitors ? false : null },
+  { field: 'medGPInhibitor', category: 'meds', label: 'Stop GP IIb/IIIa inhibitor', target: data => data.medGPInhibitor ? false : null },
+  { field: 'medSteroids', category: 'meds', label: 'Taper steroids', target: data => data.medSteroids ? false : null }
+];
+
+/**
+ * Check the perturbation list before running anything
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePerturbations(perturbations) {
+  if (!Array.isArray(perturbations)) return 'perturbations must be an array';
+
+  for (const [index, item] of perturbations.entries()) {
+    const where = `perturbations[${index}]`;
+    if (!item || typeof item !== 'object') return `${where} must be an object`;
+    if (item.changes !== undefined) {
+      if (typeof item.changes !== 'object' || item.changes === null || Object.keys(item.changes).length === 0) {
+        return `${where}.changes must be a non-empty object`;
+      }
+      continue;
+    }
+    if (typeof item.field !== 'string') return `${where} needs a field (or changes)`;
+    if (item.values !== undefined && !Array.isArray(item.values)) return `${where}.values must be an array`;
+    if (item.from !== undefined || item.to !== undefined) {
+      if (![item.from, item.to, item.step].every(value => typeof value === 'number' && isFinite(value)) || item.step <= 0) {
+        return `${where} sweep needs numeric from, to and a positive step`;
+      }
+      continue;
+    }
+    if (item.values === undefined && !('value' in item)) return `${where} needs a value, values or from/to/step`;
+  }
+
+  const count = expandPerturbations(perturbations).length;
+  if (count > MAX_SCENARIOS) return `too many scenarios (limit ${MAX_SCENARIOS})`;
+  return null;
+}
+
+/**
+ * Flatten perturbations into scenarios
+ * @returns {Array} [{ label, changes }]
+ */
+function expandPerturbations(perturbations) {
+  const scenarios = [];
+  perturbations.forEach(item => {
+    if (item.changes) {
+      scenarios.push({
+        label: item.label || Object.entries(item.changes).map(([field, value]) => `${field} = ${value}`).join(', '),
+        changes: item.changes
+      });
+      return;
+    }
+
+    let values;
+    if (item.from !== undefined) {
+      values = [];
+      const direction = item.to >= item.from ? 1 : -1;
+      const count = Math.floor(Math.abs(item.to - item.from) / item.step + 1e-9);
+      for (let i = 0; i <= count && i <= MAX_SCENARIOS; i++) {
+        values.push(Math.round((item.from + direction * i * item.step) * 1e6) / 1e6);
+      }
+    } else {
+      values = item.values || [item.value];
+    }
+
+    values.forEach(value => {
+      scenarios.push({ label: item.label || `${item.field} = ${value}`, changes: { [item.field]: value } });
+    });
+  });
+  return scenarios;
+}
+
+/**
+ * Canonical patient data with the changes applied
+ * Changes may use aliases ({ urgency: null } clears priority). Derived values
+ * (BMI, CrCl, eGFR...) of a changed field are dropped so they are recomputed.
+ * @returns {Object} { data, ignored } - ignored: changes the normalizer could not map
+ */
+function applyChanges(baseData, changes) {
+  const changed = Object.keys(changes).map(canonicalField);
+  const cleared = Object.keys(changes).filter(name => changes[name] === null).map(canonicalField);
+  const normalized = normalizePatientData(changes);
+  const data = { ...baseData };
+
+  changed.forEach(field => {
+    dependentFields(field)
+      .filter(derivedField => !changed.includes(derivedField))
+      .forEach(derivedField => { delete data[derivedField]; });
+  });
+  cleared.forEach(field => { delete data[field]; });
+  Object.assign(data, normalized.data);
+
+  return { data, ignored: normalized.unmapped };
+}
+
+function summarize(result) {
+  const outcomes = {};
+  OUTCOMES.forEach(outcome => { outcomes[outcome] = result[outcome]; });
+  return {
+    outcomes,
+    riskCategory: result.riskCategory,
+    riskCategories: result.riskCategories,
+    riskFlags: result.riskFlags,
+    confidence: result.confidence,
+    blocked: result.blocked,
+    errors: result.validation.errors,
+    warnings: result.validation.warnings
+  };
+}
+
+/**
+ * Scenario minus baseline per outcome, with the baseline's decimals
+ * null when either side was not calculated
+ */
+function outcomeDeltas(baseline, scenario) {
+  const deltas = {};
+  OUTCOMES.forEach(outcome => {
+    const base = parseFloat(baseline[outcome]);
+    const changed = parseFloat(scenario[outcome]);
+    if (isNaN(base) || isNaN(changed)) {
+      deltas[outcome] = null;
+      return;
+    }
+    const decimals = (String(baseline[outcome]).split('.')[1] || '').length;
+    deltas[outcome] = (changed - base).toFixed(decimals);
+  });
+  return deltas;
+}
+
+/**
+ * Optimise each applicable modifiable factor on its own, ranked by effect on PROM then PROMM
+ * @param {Object} baseData - Canonical patient data
+ * @param {Object} baseline - calculateSTSRisk() result for baseData
+ */
+async function rankModifiableFactors(baseData, baseline, yieldNow) {
+  const applicable = MODIFIABLE_FACTORS
+    .map(factor => ({ factor, target: factor.target(baseData) }))
+    .filter(item => item.target !== null);
+
+  const ranked = [];
+  for (const { factor, target } of applicable) {
+    await yieldNow();
+    const result = calculateSTSRisk(applyChanges(baseData, { [factor.field]: target }).data, { intervals: false });
+    const deltas = outcomeDeltas(baseline, result);
+    ranked.push({
+      field: factor.field,
+      category: factor.category,
+      label: factor.label,
+      from: baseData[factor.field],
+      to: target,
+      mortality: { baseline: baseline.mortality, scenario: result.mortality, delta: deltas.mortality },
+      morbidity: { baseline: baseline.morbidity, scenario: result.morbidity, delta: deltas.morbidity }
+    });
+  }
+  return ranked.sort((a, b) =>
+      Math.abs(parseFloat(b.mortality.delta) || 0) - Math.abs(parseFloat(a.mortality.delta) || 0) ||
+      Math.abs(parseFloat(b.morbidity.delta) || 0) - Math.abs(parseFloat(a.morbidity.delta) || 0));
+}
+
+/**
+ * Run every perturbation against the baseline patient
+ * Scenarios are scored in short chunks with a setImmediate() between them
+ * (a sparse patient takes ~200 ms per scenario with imputation), so a sweep
+ * does not stall other requests.
+ * @param {Object} patient - Structured patient data (any supported spelling)
+ * @param {Array} perturbations - See the module comment; validate with validatePerturbations() first
+ * @param {Object} options - { isCancelled: () => boolean stops early, e.g. client gone }
+ * @returns {Promise<Object>} { baseline, scenarios, modifiableFactors, cancelled }
+ */
+async function runWhatIf(patient, perturbations = [], options = {}) {
+  const yieldNow = createYielder();
+  const cancelled = async () => await yieldNow() && !!options.isCancelled && options.isCancelled();
+  const baseData = normalizePatientData(patient).data;
+  const baseline = calculateSTSRisk(patient);
+  const summary = {
+    ...summarize(baseline),
+    intervals: baseline.intervals,
+    missingFields: baseline.missingFields,
+    modelVersion: baseline.modelVersion || null
+  };
+
+  const scenarios = [];
+  for (const scenario of expandPerturbations(perturbations)) {
+    if (await cancelled()) return { baseline: summary, scenarios, modifiableFactors: [], cancelled: true };
+    const { data, ignored } = applyChanges(baseData, scenario.changes);
+    const result = calculateSTSRisk(data, { intervals: false });
+    scenarios.push({
+      label: scenario.label,
+      changes: scenario.changes,
+      ignored,
+      ...summarize(result),
+      delta: baseline.blocked || result.blocked ? null : outcomeDeltas(baseline, result)
+    });
+  }
+  if (await cancelled()) return { baseline: summary, scenarios, modifiableFactors: [], cancelled: true };
+
+  return {
+    baseline: summary,
+    scenarios,
+    modifiableFactors: baseline.blocked ? [] : await rankModifiableFactors(baseData, baseline, yieldNow),
+    cancelled: false
+  };
+}
+
+module.exports = {
+  runWhatIf,
+  applyChanges,
+  validatePerturbations,
+  MODIFIABLE_FACTORS
+};